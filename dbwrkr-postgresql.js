@@ -2,6 +2,7 @@
 
 // Modules
 const assert = require('assert');
+const os = require('os');
 const debug = require('debug')('dbwrkr:postgresql');
 const Pool = require('pg').Pool;
 const _ = require('lodash');
@@ -10,6 +11,12 @@ const LRU = require('lru-cache');
 
 // Libraries
 const checkDatabaseAndTables = require('./lib/check');
+const Listener = require('./lib/listener');
+const query = require('./lib/query');
+const metrics = require('./lib/metrics');
+const cron = require('./lib/cron');
+const setup = require('./lib/setup');
+const ndjson = require('./lib/ndjson');
 const utils = require('./lib/utils');
 
 /**
@@ -24,6 +31,8 @@ function DbWrkrPostgreSQL(opt) {
 
     debug('DbWrkrPostgreSQL - opt', opt);
 
+    this.tables = utils.tableNames(opt.schema || 'public', _.isString(opt.tablePrefix) ? opt.tablePrefix : 'wrkr_');
+
     this.pgOptions = {
         database: opt.dbName || '',
         host: opt.host || 'localhost',
@@ -37,17 +46,64 @@ function DbWrkrPostgreSQL(opt) {
     assert(this.pgOptions.database, 'has database name');
     assert(this.pgOptions.port, 'has database port');
 
+    // Lease mode, claimed items stay in flight until ack/nack instead of being done right away
+    this.leaseMs = opt.leaseMs || null;
+    this.workerId = opt.workerId || `${os.hostname()}:${process.pid}`;
+    this.reapInterval = opt.reapInterval || null;
+    this.reclaimBatchSize = opt.reclaimBatchSize || 1000;
+    this.reapTimer = null;
+
+    // Dead-letter, items that go past maxRetries move to the '<queue>.dead' queue
+    this.maxRetries = _.isNumber(opt.maxRetries) ? opt.maxRetries : null;
+    this.queueOptions = opt.queueOptions || {};
+
+    // Deduplication, a key can be reused once its item is older than the window (milliseconds)
+    this.dedupeWindow = opt.dedupeWindow || null;
+
+    // Maximum number of events per insert statement
+    this.publishChunkSize = opt.publishChunkSize || 5000;
+
+    // Number of items per query and per import statement for exportData and importData
+    this.exportChunkSize = opt.exportChunkSize || 1000;
+
+    // Schedules, tickSchedules runs every scheduleInterval (milliseconds) when set
+    this.scheduleInterval = opt.scheduleInterval || null;
+    this.scheduleCatchUpLimit = opt.scheduleCatchUpLimit || 1000;
+    this.scheduleTimer = null;
+
+    // Retention, finished items older than the policy are archived or deleted every retentionInterval
+    this.retention = opt.retention || null;
+    this.retentionBatchSize = opt.retentionBatchSize || 1000;
+    this.retentionInterval = opt.retentionInterval || null;
+    this.retentionTimer = null;
+
+    // Partitioning, a new items table is partitioned by created per day, week or month
+    this.partitionBy = opt.partitionBy || null;
+    assert(!this.partitionBy || _.includes(['day', 'week', 'month'], this.partitionBy), 'partitionBy is day, week or month');
+    this.partitionPremake = _.isNumber(opt.partitionPremake) ? opt.partitionPremake : 3;
+    this.partitioned = false;
+
     this.getRelationalValue = _.curry(utils.getRelationalValue.bind(this));
     this.getOrInsertIdValue = _.curry(utils.getOrInsertIdValue.bind(this));
-    this.mapCriteria = _.curry(utils.mapCriteria.bind(this));
     this.fieldMapper = _.curry(utils.fieldMapper.bind(this));
-    this.convertEventsToQuery = _.curry(utils.convertEventsToQuery.bind(this));
+    this.itemsMapper = _.curry(utils.itemsMapper.bind(this));
+    this.getOrInsertIdValues = utils.getOrInsertIdValues.bind(this);
+    this.retryOrDeadLetter = utils.retryOrDeadLetter.bind(this);
 
     this.pool = null;
-    this.memorizedEventIds = LRU();
-    this.memorizedQueueIds = LRU();
-    this.memorizedEventNames = LRU();
-    this.memorizedQueueNames = LRU();
+    this.listener = new Listener(this.pgOptions);
+    this.notifyChannel = this.tables.channel('items');
+
+    // Memorized event and queue names and ids, invalidated by other processes over namesChannel
+    const cacheOptions = {max: opt.cacheSize || 1000, maxAge: opt.cacheMaxAge || 0};
+    this.memorizedEventIds = LRU(cacheOptions);
+    this.memorizedQueueIds = LRU(cacheOptions);
+    this.memorizedEventNames = LRU(cacheOptions);
+    this.memorizedQueueNames = LRU(cacheOptions);
+    this.cacheCounters = {hits: 0, misses: 0, invalidations: 0};
+    this.cacheInvalidation = opt.cacheInvalidation !== false;
+    this.namesChannel = this.tables.channel('names');
+    this.listeningForNameChanges = false;
 }
 
 /**
@@ -59,7 +115,60 @@ DbWrkrPostgreSQL.prototype.connect = function connect(done) {
     debug('Connecting to PostgreSQL', this.pgOptions);
 
     this.pool = new Pool(this.pgOptions);
-    checkDatabaseAndTables(this.pool, this.pgOptions, done);
+    const setupOptions = {partitionBy: this.partitionBy};
+    checkDatabaseAndTables(this.pool, this.pgOptions, this.tables, setupOptions, (err, partitionBy) => {
+        if (err) return done(err);
+
+        // An existing table keeps the period it was created with
+        this.partitioned = !!partitionBy;
+        if (partitionBy) this.partitionBy = partitionBy;
+
+        async.series([
+            cb => {
+                if (!this.cacheInvalidation) return cb(null);
+                this.listenForNameChanges(cb);
+            },
+            cb => {
+                if (!this.partitioned) return cb(null);
+                setup.ensurePartitions(this.pool, this.tables, this.partitionBy, this.partitionPremake, cb);
+            }
+        ], err => {
+            // Timers only start once connected, a failed connect leaves nothing running
+            if (err) {
+                this.listeningForNameChanges = false;
+                return this.listener.end(() => done(err));
+            }
+
+            if (this.leaseMs && this.reapInterval) {
+                this.reapTimer = setInterval(() => {
+                    this.reclaimExpired(err => {
+                        if (err) debug('reclaimExpired failed', err);
+                    });
+                }, this.reapInterval);
+                this.reapTimer.unref();
+            }
+
+            if (this.scheduleInterval) {
+                this.scheduleTimer = setInterval(() => {
+                    this.tickSchedules(err => {
+                        if (err) debug('tickSchedules failed', err);
+                    });
+                }, this.scheduleInterval);
+                this.scheduleTimer.unref();
+            }
+
+            if (this.retentionInterval) {
+                this.retentionTimer = setInterval(() => {
+                    this.applyRetention(err => {
+                        if (err) debug('applyRetention failed', err);
+                    });
+                }, this.retentionInterval);
+                this.retentionTimer.unref();
+            }
+
+            done(null);
+        });
+    });
 };
 
 /**
@@ -72,11 +181,79 @@ DbWrkrPostgreSQL.prototype.disconnect = function disconnect(done) {
     debug('Disconnecting from PostgreSQL', this.pgOptions);
     if (!this.pool) return done();
 
-    this.memorizedEventIds.reset();
-    this.memorizedQueueIds.reset();
-    this.memorizedEventNames.reset();
-    this.memorizedQueueNames.reset();
-    this.pool.end(done);
+    clearInterval(this.reapTimer);
+    this.reapTimer = null;
+    clearInterval(this.scheduleTimer);
+    this.scheduleTimer = null;
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+    this.listeningForNameChanges = false;
+    this.resetCaches();
+    this.listener.end(err => {
+        if (err) debug('Listener disconnect failed', err);
+        this.pool.end(done);
+    });
+};
+
+/**
+ * Run fn within a transaction
+ * fn is called with a pg client and a callback, or returns a Promise. Pass the client as
+ * opt.client to publish, subscribe and remove to make them part of the transaction.
+ * The transaction commits when fn succeeds and rolls back when it fails.
+ *
+ *   storage.withTransaction((client, cb) => {
+ *       client.query('INSERT INTO orders ...', err => {
+ *           if (err) return cb(err);
+ *           storage.publish(event, {client: client}, cb);
+ *       });
+ *   }, done);
+ *
+ * @param {function} fn
+ * @param {function} done Callback, with the result of fn, returns a Promise when omitted
+ */
+DbWrkrPostgreSQL.prototype.withTransaction = function withTransaction(fn, done) {
+    this.pool.connect((err, client, release) => {
+        if (err) return done(err);
+
+        let finished = false;
+        const finish = (err, result) => {
+            if (finished) return;
+            finished = true;
+
+            client.query(err ? 'ROLLBACK' : 'COMMIT', endErr => {
+                release(endErr);
+                done(err || endErr || null, err || endErr ? undefined : result);
+            });
+        };
+
+        client.query('BEGIN', err => {
+            if (err) {
+                release(err);
+                return done(err);
+            }
+
+            let returned;
+            try {
+                returned = fn(client, finish);
+            } catch (err) {
+                return finish(err);
+            }
+
+            if (returned && typeof returned.then === 'function') {
+                returned.then(result => finish(null, result), err => finish(err || utils.createError('transactionRejected')));
+            }
+        });
+    });
+};
+
+/**
+ * Get the pg client or pool to run a query on
+ *
+ * @param {Object} opt Options, client: pg client to use instead of the pool
+ * @return {Object} Client or pool
+ */
+DbWrkrPostgreSQL.prototype.clientFor = function clientFor(opt) {
+    return opt && opt.client ? opt.client : this.pool;
 };
 
 /**
@@ -84,19 +261,26 @@ DbWrkrPostgreSQL.prototype.disconnect = function disconnect(done) {
  * 
  * @param {String} eventName
  * @param {String} queueName
+ * @param {Object} opt Options, client: pg client (in a transaction) to use instead of the pool
  * @param {function} callback Callback option
  */
-DbWrkrPostgreSQL.prototype.subscribe = function subscribe(eventName, queueName, done) {
+DbWrkrPostgreSQL.prototype.subscribe = function subscribe(eventName, queueName, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
     debug('Subscribe ', {event: eventName, queue: queueName});
 
-    async.parallel([
-        this.getOrInsertIdValue('event', eventName),
-        this.getOrInsertIdValue('queue', queueName)
+    // Within a caller transaction names are resolved on its client, see idValuesFor
+    const db = this.clientFor(opt);
+    async.series([
+        cb => this.idValuesFor('event', [eventName], db, cb),
+        cb => this.idValuesFor('queue', [queueName], db, cb)
     ], (err, result) => {
         if (err) return done(err);
         // Insert subscription into database, database will refuse if duplicate
-        const subscribeQuery = 'INSERT INTO "wrkr_subscriptions" ("event_id", "queue_id") VALUES ($1, $2);';
-        this.pool.query(subscribeQuery, [result[0], result[1]], done);
+        const subscribeQuery = `INSERT INTO ${this.tables.subscriptions} ("event_id", "queue_id") VALUES ($1, $2);`;
+        db.query(subscribeQuery, [result[0][eventName], result[1][queueName]], done);
     });
 };
 
@@ -114,9 +298,11 @@ DbWrkrPostgreSQL.prototype.unsubscribe = function unsubscribe(eventName, queueNa
         this.getRelationalValue('id', 'event', eventName),
         this.getRelationalValue('id', 'queue', queueName)
     ], (err, result) => {
+        // Without the event or queue there is no subscription to remove
+        if (utils.isError(err, 'noRecordsFound')) return done(null);
         if (err) return done(err);
 
-        const unsubscribeQuery = 'DELETE FROM "wrkr_subscriptions" WHERE "event_id" = $1 AND "queue_id" = $2';
+        const unsubscribeQuery = `DELETE FROM ${this.tables.subscriptions} WHERE "event_id" = $1 AND "queue_id" = $2`;
         this.pool.query(unsubscribeQuery, [result[0], result[1]], done);
     });
 };
@@ -131,13 +317,13 @@ DbWrkrPostgreSQL.prototype.subscriptions = function subscriptions(eventName, don
     debug('Subscriptions ', {event: eventName});
 
     this.getRelationalValue('id', 'event', eventName, (err, eventId) => {
-        if (err && err !== 'noRecordsFound') return done(err);
-        if (err && err === 'noRecordsFound') return done(null, []);
+        if (err && !utils.isError(err, 'noRecordsFound')) return done(err);
+        if (utils.isError(err, 'noRecordsFound')) return done(null, []);
 
         const subscriptionsQuery = `
             SELECT      su.event_id, qu.name
-            FROM        wrkr_subscriptions AS su
-            LEFT JOIN   wrkr_queues AS qu ON su.queue_id=qu.id
+            FROM        ${this.tables.subscriptions} AS su
+            LEFT JOIN   ${this.tables.queues} AS qu ON su.queue_id=qu.id
             WHERE       event_id = $1`;
 
         this.pool.query(subscriptionsQuery, [eventId], (err, res) => {
@@ -160,180 +346,2550 @@ DbWrkrPostgreSQL.prototype.subscriptions = function subscriptions(eventName, don
 };
 
 /**
- * Publish events
+ * List all queue names
  *
- * @TODO rewrite convert Event to Query
- * 
- * @param {String} eventName
- * @param {function} done Callback option
+ * @param {function} done Callback, with the names in alphabetical order
  */
-DbWrkrPostgreSQL.prototype.publish = function publish(events, done) {
-    const publishEvents = Array.isArray(events) ? events : [events];
+DbWrkrPostgreSQL.prototype.listQueues = function listQueues(done) {
+    this.pool.query(`SELECT "name" FROM ${this.tables.queues} ORDER BY "name"`, (err, result) => {
+        if (err) return done(err);
+        done(null, _.map(result.rows, 'name'));
+    });
+};
 
-    debug('Publish ', publishEvents);
+/**
+ * List all event names
+ *
+ * @param {function} done Callback, with the names in alphabetical order
+ */
+DbWrkrPostgreSQL.prototype.listEvents = function listEvents(done) {
+    this.pool.query(`SELECT "name" FROM ${this.tables.events} ORDER BY "name"`, (err, result) => {
+        if (err) return done(err);
+        done(null, _.map(result.rows, 'name'));
+    });
+};
 
-    const queryData = utils.convertEventsToQuery(events);
-    const publishQuery = `
-        INSERT INTO wrkr_items (
-            "event_id", 
-            "queue_id", 
-            "tid", 
-            "payload", 
-            "parent", 
-            "created", 
-            "when", 
-            "retryCount") 
-        VALUES 
-            ${queryData.text} 
-        RETURNING *`;
+/**
+ * List all subscriptions
+ *
+ * @param {function} done Callback, with event and queue names
+ */
+DbWrkrPostgreSQL.prototype.listSubscriptions = function listSubscriptions(done) {
+    const listQuery = `
+        SELECT      ev."name" AS "event", qu."name" AS "queue"
+        FROM        ${this.tables.subscriptions} AS su
+        INNER JOIN  ${this.tables.events} AS ev ON su.event_id=ev.id
+        INNER JOIN  ${this.tables.queues} AS qu ON su.queue_id=qu.id
+        ORDER BY    ev."name", qu."name"`;
 
-    this.pool.query(publishQuery, queryData.values, (err, result) => {
+    this.pool.query(listQuery, (err, result) => {
         if (err) return done(err);
+        done(null, result.rows);
+    });
+};
 
-        if (publishEvents.length !== result.rowCount) {
-            return done(new Error('insertErrorNotEnoughEvents'));
-        }
+/**
+ * Delete a queue and its dead-letter queue with their subscriptions, limits and schedules
+ *
+ * A queue that still has items is only deleted with purgeItems, which deletes its items
+ * (the items of its dead-letter queue included) as well.
+ *
+ * The queue row is locked first. Items reference their queue with a foreign key, so a
+ * concurrent publish to the queue waits for the delete and then fails instead of storing
+ * items for a queue that no longer exists.
+ *
+ * @param {String} name
+ * @param {Object} opt Options, purgeItems: delete the items of the queue
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.deleteQueue = function deleteQueue(name, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('deleteQueue', {name: name, opt: opt});
+
+    const names = [name, this.deadLetterQueueName(name)];
+    const itemsCondition = '"queue_id" = ANY($1::integer[]) OR "origin_queue_id" = ANY($1::integer[])';
+    const lockQuery = `SELECT "id", "name" FROM ${this.tables.queues} WHERE "name" = ANY($1) ORDER BY "id" FOR UPDATE`;
+    const statements = [
+        `DELETE FROM ${this.tables.subscriptions} WHERE "queue_id" = ANY($1::integer[])`,
+        `DELETE FROM ${this.tables.queueLimits} WHERE "queue_id" = ANY($1::integer[])`,
+        `DELETE FROM ${this.tables.schedules} WHERE "queue_id" = ANY($1::integer[])`,
+        `DELETE FROM ${this.tables.queues} WHERE "id" = ANY($1::integer[])`
+    ];
+
+    this.withTransaction((client, cb) => {
+        client.query(lockQuery, [names], (err, result) => {
+            if (err) return cb(err);
+
+            const queueIds = _.mapValues(_.keyBy(result.rows, 'name'), 'id');
+            if (!queueIds[name]) return cb(utils.createError('queueNotFound'));
+
+            const itemsQuery = opt.purgeItems ?
+                `DELETE FROM ${this.tables.items} WHERE ${itemsCondition}` :
+                `SELECT 1 FROM ${this.tables.items} WHERE ${itemsCondition} LIMIT 1`;
+
+            client.query(itemsQuery, [_.values(queueIds)], (err, result) => {
+                if (err) return cb(err);
+                if (!opt.purgeItems && result.rowCount > 0) return cb(utils.createError('queueNotEmpty'));
+
+                async.eachSeries(statements, (statement, statementCb) => {
+                    client.query(statement, [_.values(queueIds)], err => statementCb(err || null));
+                }, err => cb(err || null, queueIds));
+            });
+        });
+    }, (err, queueIds) => {
+        if (err) return done(err);
 
-        const createdIds = result.rows.map(o => { return o.id.toString(); });
-        debug('Published ', publishEvents.length, createdIds);
-        return done(null, createdIds);
+        _.each(queueIds, (id, queueName) => this.forgetName('queue', queueName, id));
+        done(null);
     });
 };
 
 /**
- * Fetch the next item
- * 
- * @TODO Investigate if we should use between function (see rethinkDB implementation)
- * @param {String} queue
- * @param {function} done Callback 
+ * Rename a queue, its items, subscriptions, limits and schedules move along
+ * The dead-letter queue is renamed as well.
+ *
+ * @param {String} oldName
+ * @param {String} newName
+ * @param {function} done Callback
  */
-DbWrkrPostgreSQL.prototype.fetchNext = function fetchNext(queue, done) {
-    debug('fetchNext', queue);
+DbWrkrPostgreSQL.prototype.renameQueue = function renameQueue(oldName, newName, done) {
+    debug('renameQueue', {oldName: oldName, newName: newName});
 
-    this.getRelationalValue('id', 'queue', queue, (err, queueId) => {
+    const renameQuery = `UPDATE ${this.tables.queues} SET "name" = $2 WHERE "name" = $1 RETURNING "id"`;
+    const renames = [
+        [oldName, newName],
+        [this.deadLetterQueueName(oldName), this.deadLetterQueueName(newName)]
+    ];
+
+    this.withTransaction((client, cb) => {
+        async.mapSeries(renames, (rename, renameCb) => {
+            client.query(renameQuery, rename, (err, result) => {
+                if (err && err.code === '23505') return renameCb(utils.createError('queueExists'));
+                if (err) return renameCb(err);
+                renameCb(null, result.rowCount > 0 ? result.rows[0].id : null);
+            });
+        }, (err, queueIds) => {
+            if (err) return cb(err);
+            if (!queueIds[0]) return cb(utils.createError('queueNotFound'));
+            cb(null, queueIds);
+        });
+    }, (err, queueIds) => {
         if (err) return done(err);
 
-        const fetchNextQuery = `
-            WITH itemId AS (
-                SELECT      id
-                FROM        wrkr_items
-                WHERE       "queue_id" = $1
-                AND         "when" <= $2
-                ORDER BY    created DESC
-                LIMIT  1
-            )
-            UPDATE wrkr_items
-            SET    "when" = NULL, "done" = $2
-            FROM   itemId
-            WHERE  wrkr_items.id = itemId.id
-            RETURNING *;
-        `;
-
-        this.pool.query(fetchNextQuery, [queueId, new Date()], (err, res) => {
-            if (err) return done(err);
+        _.each(renames, (rename, index) => {
+            if (queueIds[index]) this.forgetName('queue', rename[0], queueIds[index]);
+        });
+        done(null);
+    });
+};
+
+/**
+ * Delete events and queues that nothing refers to anymore
+ * Queues are in use by items (also dead-lettered and archived ones), subscriptions, limits
+ * and schedules. Events are in use by items (also archived ones) and subscriptions.
+ * Other processes may still have a deleted name memorized until its notification arrives,
+ * items reference their event and queue with a foreign key so such a publish fails instead
+ * of storing items that cannot be mapped back to their names.
+ *
+ * @param {function} done Callback, with the deleted event and queue names
+ */
+DbWrkrPostgreSQL.prototype.removeOrphans = function removeOrphans(done) {
+    const eventsQuery = `
+        DELETE FROM ${this.tables.events} AS ev
+        WHERE       NOT EXISTS (SELECT 1 FROM ${this.tables.items} WHERE "event_id" = ev."id")
+        AND         NOT EXISTS (SELECT 1 FROM ${this.tables.subscriptions} WHERE "event_id" = ev."id")
+        AND         NOT EXISTS (SELECT 1 FROM ${this.tables.itemsArchive} WHERE "event_id" = ev."id")
+        RETURNING   ev."id", ev."name"`;
+    const queuesQuery = `
+        DELETE FROM ${this.tables.queues} AS qu
+        WHERE       NOT EXISTS (SELECT 1 FROM ${this.tables.items} WHERE "queue_id" = qu."id")
+        AND         NOT EXISTS (SELECT 1 FROM ${this.tables.items} WHERE "origin_queue_id" = qu."id")
+        AND         NOT EXISTS (SELECT 1 FROM ${this.tables.subscriptions} WHERE "queue_id" = qu."id")
+        AND         NOT EXISTS (SELECT 1 FROM ${this.tables.queueLimits} WHERE "queue_id" = qu."id")
+        AND         NOT EXISTS (SELECT 1 FROM ${this.tables.schedules} WHERE "queue_id" = qu."id")
+        AND         NOT EXISTS (SELECT 1 FROM ${this.tables.itemsArchive} WHERE "queue_id" = qu."id")
+        AND         NOT EXISTS (SELECT 1 FROM ${this.tables.itemsArchive} WHERE "origin_queue_id" = qu."id")
+        RETURNING   qu."id", qu."name"`;
 
-            let result = res && res.rows ? res.rows[0] : false;
+    async.series([
+        cb => this.pool.query(eventsQuery, cb),
+        cb => this.pool.query(queuesQuery, cb)
+    ], (err, results) => {
+        if (err) return done(err);
 
-            debug('fetchNext result', result);
-            if (!result || _.isArray(result) && result.length === 0) return done(null, undefined);
-            result = _.isArray(result) ? _.first(result) : result;
+        _.each(results[0].rows, row => this.forgetName('event', row.name, row.id));
+        _.each(results[1].rows, row => this.forgetName('queue', row.name, row.id));
 
-            debug('fetchNext item', result);
-            this.fieldMapper(result, done);
-        });
+        const removed = {events: _.map(results[0].rows, 'name'), queues: _.map(results[1].rows, 'name')};
+        debug('removeOrphans', removed);
+        done(null, removed);
     });
 };
 
 /**
- * Find items based on the given criteria
- * 
- * @TODO Check if we can handle multiple id's better.
- * @param {Object} criteria
+ * Remove an event or queue name and id from the memorized names and ids
+ *
+ * @param {String} valueType 'event' or 'queue'
+ * @param {String} name
+ * @param {Integer} id
+ */
+DbWrkrPostgreSQL.prototype.forgetName = function forgetName(valueType, name, id) {
+    const memorizedIds = valueType === 'event' ? this.memorizedEventIds : this.memorizedQueueIds;
+    const memorizedNames = valueType === 'event' ? this.memorizedEventNames : this.memorizedQueueNames;
+
+    memorizedIds.del(name);
+    memorizedNames.del(id);
+};
+
+/**
+ * Listen for changed and deleted event and queue names of other processes
+ * When the listener connection is lost notifications may have been missed, so the memorized
+ * names and ids are dropped and listening starts again until it succeeds or we disconnect.
+ *
  * @param {function} done Callback
  */
-DbWrkrPostgreSQL.prototype.find = function find(criteria, done) {
-    debug('Finding ', criteria);
+DbWrkrPostgreSQL.prototype.listenForNameChanges = function listenForNameChanges(done) {
+    const relisten = () => {
+        setTimeout(() => {
+            if (!this.listeningForNameChanges) return;
+
+            this.listener.add(this.namesChannel, onNameChange, err => {
+                if (!err) return;
+                debug('Listen for name changes failed', err);
+                relisten();
+            });
+        }, 1000).unref();
+    };
 
-    // Handle multiple id's
-    if (criteria.id && Array.isArray(criteria.id) && criteria.id.length > 1) {
-        const ids = criteria.id.join(',');
-        const findIdQuery = `
-            SELECT *
-            FROM   "wrkr_items"
-            WHERE  id in ($1)`;
+    const onNameChange = (err, payload) => {
+        if (err) {
+            this.resetCaches();
+            if (this.listeningForNameChanges) relisten();
+            return;
+        }
 
-        return this.pool.query(findIdQuery, [`'${ids}'`], (err, result) => {
-            if (err) return done(err);
-            debug('Found ', result.rows);
+        let change;
+        try {
+            change = JSON.parse(payload);
+        } catch (parseErr) {
+            // Without the changed name there is no telling which entries are stale
+            debug('Invalid name change notification', {payload: payload, err: parseErr});
+            this.cacheCounters.invalidations++;
+            return this.resetCaches();
+        }
 
-            async.map(result.rows, (row, next) => {
-                this.fieldMapper(this, row, next);
-            }, done);
-        });
+        debug('Name changed', change);
+        this.cacheCounters.invalidations++;
+        this.forgetName(change.type, change.name, change.id);
+    };
+
+    this.listener.add(this.namesChannel, onNameChange, err => {
+        if (err) return done(err);
+
+        this.listeningForNameChanges = true;
+        done(null);
+    });
+};
+
+/**
+ * Drop all memorized event and queue names and ids
+ */
+DbWrkrPostgreSQL.prototype.resetCaches = function resetCaches() {
+    this.memorizedEventIds.reset();
+    this.memorizedQueueIds.reset();
+    this.memorizedEventNames.reset();
+    this.memorizedQueueNames.reset();
+};
+
+/**
+ * Get the counters and sizes of the memorized event and queue names and ids
+ *
+ * @return {Object} hits, misses, invalidations (name change notifications) and the entries per cache
+ */
+DbWrkrPostgreSQL.prototype.cacheStats = function cacheStats() {
+    return _.assign({}, this.cacheCounters, {
+        entries: {
+            eventIds: this.memorizedEventIds.itemCount,
+            queueIds: this.memorizedQueueIds.itemCount,
+            eventNames: this.memorizedEventNames.itemCount,
+            queueNames: this.memorizedQueueNames.itemCount
+        }
+    });
+};
+
+/**
+ * Publish events
+ *
+ * With opt.client the items are inserted, and the queues notified, within the caller's
+ * transaction: they become visible to workers only when that transaction commits.
+ *
+ * An event with a dedupeKey (a string, or true for tid + name) is stored once per queue:
+ * publishing it again returns the id of the existing item. With the dedupeWindow option
+ * a key can be reused once the item that holds it is older than the window.
+ * dedupeKey true without a tid fails with dedupeKeyWithoutTid.
+ *
+ * Events are inserted in chunks of publishChunkSize with one array parameter per column,
+ * large batches run in a transaction so they are stored all or nothing.
+ *
+ * @param {Array} events Event or array of events
+ * @param {Object} opt Options, client: pg client (in a transaction) to use instead of the pool
+ * @param {function} done Callback option, with the item ids in the order of the events
+ */
+DbWrkrPostgreSQL.prototype.publish = function publish(events, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+
+    const publishEvents = Array.isArray(events) ? events : [events];
+    debug('Publish ', publishEvents.length);
+
+    if (publishEvents.length === 0) return done(null, []);
+    if (_.some(publishEvents, event => event.dedupeKey === true && !event.tid)) {
+        return done(utils.createError('dedupeKeyWithoutTid'));
     }
 
-    if (criteria.id && Array.isArray(criteria.id)) {
-        criteria.id = _.first(criteria.id);
+    // Deduplication on a partitioned table holds key locks until the transaction ends
+    const lockedKeys = this.partitioned && _.some(publishEvents, utils.dedupeKeyFor);
+    const singleStatement = publishEvents.length <= this.publishChunkSize && !this.dedupeWindow && !lockedKeys;
+    if (opt.client || singleStatement) {
+        return this.insertEvents(publishEvents, this.clientFor(opt), done);
     }
 
-    this.mapCriteria(criteria, (err, mappedCriteria) => {
+    // Names are resolved (and memorized) on the pool before the transaction holds a client,
+    // transactions that wait for a free pool client could otherwise exhaust the pool
+    async.series([
+        cb => this.getOrInsertIdValues('event', _.map(publishEvents, 'name'), cb),
+        cb => this.getOrInsertIdValues('queue', _.map(publishEvents, 'queue'), cb)
+    ], err => {
         if (err) return done(err);
+        this.withTransaction((client, cb) => this.insertEvents(publishEvents, client, cb), done);
+    });
+};
 
-        const whereSQL = utils.createWhereSQL(mappedCriteria, 1);
+/**
+ * Insert events as items and notify their queues
+ *
+ * Event and queue ids are resolved once per distinct name and the item ids are reserved
+ * up front, so every event maps to its id in input order even when duplicates are skipped.
+ *
+ * @param {Array} events
+ * @param {Object} db Pool or client
+ * @param {function} done Callback, with the item ids in the order of the events
+ */
+DbWrkrPostgreSQL.prototype.insertEvents = function insertEvents(events, db, done) {
+    const dedupeKeys = _.map(events, utils.dedupeKeyFor);
+    const insertQuery = `
+        INSERT INTO ${this.tables.items} (
+            "id",
+            "event_id",
+            "queue_id",
+            "tid",
+            "payload",
+            "parent",
+            "created",
+            "when",
+            "retryCount",
+            "dedupe_key",
+            "priority",
+            "group_key",
+            "on_children_done")
+        SELECT  *
+        FROM    unnest(
+                    $1::integer[], $2::integer[], $3::integer[], $4::text[], $5::jsonb[], $6::integer[],
+                    $7::timestamptz[], $8::timestamptz[], $9::integer[], $10::text[], $11::integer[], $12::text[],
+                    $13::jsonb[])
+        ${this.partitioned ? '' : 'ON CONFLICT ("queue_id", "dedupe_key") WHERE NOT "dedupe_key" IS NULL DO NOTHING'}
+        RETURNING "id"`;
 
-        if (!mappedCriteria.id && !mappedCriteria.when) {
-            const newDate = new Date(0, 0, 0);
-            if (Object.keys(mappedCriteria).length === 0) {
-                whereSQL.text += ' WHERE ';
-            } else {
-                whereSQL.text += ' AND ';
-            }
+    async.auto({
+        eventIds: cb => this.idValuesFor('event', _.map(events, 'name'), db, cb),
+        queueIds: cb => this.idValuesFor('queue', _.map(events, 'queue'), db, cb),
+        itemIds: cb => this.reserveItemIds(events.length, db, cb),
+        locked: cb => {
+            if (!this.partitioned) return cb(null);
+            this.lockDedupeKeys(events, dedupeKeys, db, cb);
+        },
+        released: ['queueIds', 'locked', (results, cb) => {
+            this.releaseDedupeKeys(_.map(events, event => results.queueIds[event.queue]), dedupeKeys, db, cb);
+        }],
+        known: ['released', (results, cb) => {
+            if (!this.partitioned) return cb(null, []);
+            this.findDedupeKeys(_.compact(dedupeKeys), db, cb);
+        }],
+        inserted: ['eventIds', 'queueIds', 'itemIds', 'known', (results, cb) => {
+            // A partitioned table has no unique index on the keys, existing keys are skipped up front
+            const seen = _.keyBy(results.known, row => `${row.queue}:${row.dedupe_key}`);
+            const skip = (event, key) => {
+                if (!this.partitioned || !key) return false;
+                if (seen[`${event.queue}:${key}`]) return true;
 
-            whereSQL.text += `"when" > $${whereSQL.counter} `;
-            whereSQL.values = whereSQL.values.concat([`'${newDate.toISOString()}'`]);
+                seen[`${event.queue}:${key}`] = true;
+                return false;
+            };
+            const rows = _.map(events, (event, index) => {
+                return [
+                    results.itemIds[index],
+                    results.eventIds[event.name] || null,
+                    results.queueIds[event.queue] || null,
+                    event.tid,
+                    event.payload ? JSON.stringify(event.payload) : null,
+                    event.parent ? event.parent.toString() : null,
+                    event.created || new Date(),
+                    event.when || null,
+                    event.retryCount,
+                    dedupeKeys[index],
+                    event.priority || 0,
+                    event.groupKey ? String(event.groupKey) : null,
+                    event.onChildrenDone ? JSON.stringify(event.onChildrenDone) : null
+                ];
+            });
+            const publishable = _.reject(rows, (row, index) => skip(events[index], dedupeKeys[index]));
+
+            async.concatSeries(_.chunk(publishable, this.publishChunkSize), (chunk, chunkCb) => {
+                db.query(insertQuery, _.unzip(chunk), (err, result) => {
+                    if (err) return chunkCb(err);
+                    chunkCb(null, _.map(result.rows, 'id'));
+                });
+            }, cb);
+        }],
+        insertedIds: ['inserted', (results, cb) => cb(null, _.keyBy(results.inserted))],
+        existing: ['itemIds', 'insertedIds', (results, cb) => {
+            const skippedKeys = _.filter(dedupeKeys, (key, index) => {
+                return !_.has(results.insertedIds, results.itemIds[index]);
+            });
+            this.findDedupeKeys(skippedKeys, db, cb);
+        }]
+    }, (err, results) => {
+        // A queue or event deleted since its id was memorized, resolve the name again next time
+        if (err && err.code === '23503') {
+            _.each(_.uniq(_.map(events, 'queue')), queue => {
+                this.forgetName('queue', queue, results.queueIds && results.queueIds[queue]);
+            });
+            _.each(_.uniq(_.map(events, 'name')), name => {
+                this.forgetName('event', name, results.eventIds && results.eventIds[name]);
+            });
         }
+        if (err) return done(err);
 
-        const findQuery = `
-            SELECT *
-            FROM   "wrkr_items" 
-            ${whereSQL.text}`;
+        const existing = _.keyBy(results.existing, row => `${row.queue}:${row.dedupe_key}`);
+        const createdIds = _.map(events, (event, index) => {
+            const itemId = results.itemIds[index];
+            if (_.has(results.insertedIds, itemId)) return itemId.toString();
 
-        this.pool.query(findQuery, whereSQL.values, (err, result) => {
-            if (err) return done(err);
+            const row = existing[`${event.queue}:${dedupeKeys[index]}`];
+            return row ? row.id.toString() : undefined;
+        });
+
+        if (_.some(createdIds, _.isUndefined)) {
+            return done(utils.createError('insertErrorNotEnoughEvents'));
+        }
 
-            debug('Found ', result.rows);
-            async.map(result.rows, (row, next) => {
-                this.fieldMapper(row, next);
-            }, done);
+        debug('Published ', events.length, createdIds);
+
+        this.notifyQueues(_.uniq(_.map(events, 'queue')), db, err => {
+            // A failed statement aborts the caller's transaction, so that must be reported.
+            // Otherwise the items are stored and waiting workers still wake on their due timer
+            if (err && db !== this.pool) return done(err);
+            if (err) debug('Notify failed', err);
+            return done(null, createdIds);
         });
     });
 };
 
 /**
- * Remove items based on criteria
- * 
- * @param {Object} criteria
- * @param {function} done Callback option
+ * Release deduplication keys held by items older than the dedupeWindow so they can be reused
+ * Keys are per queue, only the items in the queue of the event release theirs.
+ *
+ * @param {Array} queueIds Queue id per event
+ * @param {Array} dedupeKeys Key per event, null for events without one
+ * @param {Object} db Pool or client
+ * @param {function} done Callback
  */
-DbWrkrPostgreSQL.prototype.remove = function remove(criteria, done) {
-    debug('Removing', criteria);
+DbWrkrPostgreSQL.prototype.releaseDedupeKeys = function releaseDedupeKeys(queueIds, dedupeKeys, db, done) {
+    const keyed = _.filter(_.range(dedupeKeys.length), index => dedupeKeys[index]);
+    if (!this.dedupeWindow || keyed.length === 0) return done(null);
+
+    const releaseQuery = `
+        UPDATE ${this.tables.items} AS it
+        SET    "dedupe_key" = NULL
+        FROM   (SELECT DISTINCT * FROM unnest($1::integer[], $2::text[])) AS x("queue_id", "dedupe_key")
+        WHERE  it."queue_id" = x."queue_id"
+        AND    it."dedupe_key" = x."dedupe_key"
+        AND    it."created" < $3`;
+
+    const values = [
+        _.map(keyed, index => queueIds[index]),
+        _.map(keyed, index => dedupeKeys[index]),
+        new Date(Date.now() - this.dedupeWindow)
+    ];
+    db.query(releaseQuery, values, err => done(err || null));
+};
+
+/**
+ * Lock the deduplication keys of events until the transaction ends
+ * A partitioned table has no unique index on the keys, the lock makes checking for an
+ * existing key and inserting it atomic. Locks are taken in a fixed order to avoid deadlocks.
+ *
+ * @param {Array} events
+ * @param {Array} dedupeKeys Key per event, null for events without one
+ * @param {Object} db Client in a transaction
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.lockDedupeKeys = function lockDedupeKeys(events, dedupeKeys, db, done) {
+    const lockKeys = _.uniq(_.compact(_.map(events, (event, index) => {
+        return dedupeKeys[index] ? `${this.tables.items}:${event.queue}:${dedupeKeys[index]}` : null;
+    })));
+    if (lockKeys.length === 0) return done(null);
+
+    const lockQuery = `
+        SELECT  pg_advisory_xact_lock("key")
+        FROM    (SELECT DISTINCT hashtext("name") AS "key" FROM unnest($1::text[]) AS "name" ORDER BY 1) AS "keys"`;
+
+    db.query(lockQuery, [lockKeys], err => done(err || null));
+};
+
+/**
+ * Find the items that hold deduplication keys
+ *
+ * @param {Array} dedupeKeys
+ * @param {Object} db Pool or client
+ * @param {function} done Callback, with rows containing id, dedupe_key and queue (name)
+ */
+DbWrkrPostgreSQL.prototype.findDedupeKeys = function findDedupeKeys(dedupeKeys, db, done) {
+    if (dedupeKeys.length === 0) return done(null, []);
+
+    const findQuery = `
+        SELECT      it."id", it."dedupe_key", qu."name" AS "queue"
+        FROM        ${this.tables.items} AS it
+        INNER JOIN  ${this.tables.queues} AS qu ON it.queue_id=qu.id
+        WHERE       it."dedupe_key" = ANY($1::text[])`;
+
+    db.query(findQuery, [dedupeKeys], (err, result) => {
+        if (err) return done(err);
+        done(null, result.rows);
+    });
+};
+
+/**
+ * Send a notification for every queue that received new items
+ *
+ * @param {Array} queueNames
+ * @param {Object} db Pool or client to notify on, a client in a transaction notifies on commit
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.notifyQueues = function notifyQueues(queueNames, db, done) {
+    const notifyQuery = 'SELECT pg_notify($1, "queue") FROM unnest($2::text[]) AS "queue"';
+    db.query(notifyQuery, [this.notifyChannel, queueNames], err => done(err || null));
+};
+
+/**
+ * Send a notification for the queues of items that became available again
+ *
+ * @param {Array} queueIds
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.notifyQueueIds = function notifyQueueIds(queueIds, done) {
+    async.map(_.uniq(queueIds), this.getRelationalValue('name', 'queue'), (err, queueNames) => {
+        if (err) return done(err);
+        this.notifyQueues(queueNames, this.pool, done);
+    });
+};
+
+/**
+ * Fetch the next item
+ *
+ * @param {String} queue
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.fetchNext = function fetchNext(queue, done) {
+    debug('fetchNext', queue);
+
+    this.fetchMany(queue, 1, (err, items) => {
+        if (err) return done(err);
+
+        debug('fetchNext item', items[0]);
+        done(null, _.first(items));
+    });
+};
+
+/**
+ * Fetch (claim) up to limit items in one statement
+ *
+ * Items are claimed in a fixed order: the highest priority first, then the oldest due "when",
+ * then the oldest "created", then the lowest id. Candidate rows are locked with FOR UPDATE SKIP LOCKED so concurrent
+ * workers never claim the same item, a worker skips rows another worker is claiming.
+ * The claimed items are returned in that same order.
+ *
+ * Items with a groupKey are processed one at a time per group, in publish order: an item is
+ * skipped while its group has an item in flight (leased) or an earlier unfinished item.
+ * This is evaluated on the item table within the claim, so it holds across worker processes.
+ *
+ * A queue without limits is claimed in a single statement. A queue with limits (see
+ * setQueueLimits) is claimed in a transaction that honors them, at its limit no items are
+ * returned. Without leases the onChildrenDone follow-ups of parents whose last children
+ * were claimed are published right after the claim.
+ *
+ * Without leaseMs a claimed item is done right away. With leaseMs the item is leased to
+ * this worker (locked_until, locked_by) and stays in flight until ack() or nack().
+ *
+ * @param {String} queue
+ * @param {Integer} limit Maximum number of items to claim
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.fetchMany = function fetchMany(queue, limit, done) {
+    debug('fetchMany', {queue: queue, limit: limit});
 
-    this.mapCriteria(criteria, (err, mappedCriteria) => {
+    this.getRelationalValue('id', 'queue', queue, (err, queueId) => {
         if (err) return done(err);
 
-        const whereSQL = utils.createWhereSQL(mappedCriteria, 1);
-        const removeQuery = `
-            DELETE FROM "wrkr_items"
-            ${whereSQL.text}
-        `;
+        const now = new Date();
+        const lockedUntil = this.leaseMs ? new Date(now.getTime() + this.leaseMs) : null;
+        const claimValues = allowed => [
+            queueId,
+            now,
+            allowed,
+            lockedUntil ? null : now,
+            lockedUntil,
+            lockedUntil ? this.workerId : null
+        ];
+
+        // Without leases items are done when claimed, their parents may be complete now
+        const completeParents = (client, rows, cb) => {
+            if (lockedUntil) return cb(null, rows);
+            this.completeParents(client, _.map(rows, 'parent'), err => cb(err || null, rows));
+        };
 
-        this.pool.query(removeQuery, whereSQL.values, err => {
+        const claimLimited = cb => {
+            this.withTransaction((client, transactionCb) => {
+                this.queueAllowance(client, queueId, limit, (err, allowed) => {
+                    if (err) return transactionCb(err);
+                    if (allowed <= 0) return transactionCb(null, []);
+
+                    client.query(this.claimQuery(false), claimValues(allowed), (err, res) => {
+                        if (err) return transactionCb(err);
+                        completeParents(client, res.rows, transactionCb);
+                    });
+                });
+            }, cb);
+        };
+
+        // Queues without limits are claimed in a single statement, a queue that turns out
+        // to be limited is claimed again in a transaction that counts its usage
+        const claim = cb => {
+            this.pool.query(this.claimQuery(true), claimValues(limit), (err, res) => {
+                if (err) return cb(err);
+                if (res.rows[0].limited) return claimLimited(cb);
+
+                const rows = _.filter(res.rows, row => row.id !== null);
+                if (lockedUntil || !_.some(rows, 'parent')) return cb(null, rows);
+                this.withTransaction((client, transactionCb) => completeParents(client, rows, transactionCb), cb);
+            });
+        };
+
+        claim((err, rows) => {
             if (err) return done(err);
 
-            debug('Removed', mappedCriteria);
-            done(null);
+            debug('fetchMany result', rows);
+            this.itemsMapper(rows, done);
         });
     });
 };
 
+/**
+ * Get the query that claims items from a queue
+ *
+ * Parameters: queue id, now, limit, done, locked_until and locked_by. With unlimitedOnly
+ * nothing is claimed from a queue that has limits, the query then returns a single row of
+ * NULLs with "limited" set. It always returns at least that row.
+ *
+ * @param {Boolean} unlimitedOnly
+ * @return {String}
+ */
+DbWrkrPostgreSQL.prototype.claimQuery = function claimQuery(unlimitedOnly) {
+    const limitsCondition = unlimitedOnly ? 'AND NOT (SELECT "limited" FROM limits)' : '';
+    const claimedRows = 'updated INNER JOIN claimed ON updated.id = claimed.id';
+    const selectRows = unlimitedOnly
+        ? `SELECT updated.*, limits."limited" FROM limits LEFT JOIN (${claimedRows}) ON TRUE`
+        : `SELECT updated.* FROM ${claimedRows}`;
+
+    return `
+        WITH limits AS (
+            SELECT  EXISTS (SELECT 1 FROM ${this.tables.queueLimits} WHERE "queue_id" = $1) AS "limited"
+        ), claimed AS (
+            SELECT      id, "priority", "when", "created"
+            FROM        ${this.tables.items} AS candidate
+            WHERE       "queue_id" = $1
+            AND         "when" <= $2
+            ${limitsCondition}
+            AND         ("group_key" IS NULL OR NOT EXISTS (
+                SELECT  1
+                FROM    ${this.tables.items} AS earlier
+                WHERE   earlier."queue_id" = candidate."queue_id"
+                AND     earlier."group_key" = candidate."group_key"
+                AND     earlier."done" IS NULL
+                AND     earlier."failed" IS NULL
+                AND     earlier."cancelled" IS NULL
+                AND     (earlier."when" IS NULL OR (earlier."created", earlier."id") < (candidate."created", candidate."id"))
+            ))
+            ORDER BY    "priority" DESC, "when" ASC, "created" ASC, "id" ASC
+            LIMIT       $3
+            FOR UPDATE  SKIP LOCKED
+        ), updated AS (
+            UPDATE ${this.tables.items} AS it
+            SET    "when" = NULL, "done" = $4, "locked_until" = $5, "locked_by" = $6, "claimed" = $2
+            FROM   claimed
+            WHERE  it.id = claimed.id
+            RETURNING it.*
+        )
+        ${selectRows}
+        ORDER BY    claimed."priority" DESC, claimed."when" ASC, claimed."created" ASC, claimed."id" ASC`;
+};
+
+/**
+ * Get the number of items that may be claimed from a queue within its limits
+ * Locks the queue limits row until the claiming transaction ends, so concurrent claims
+ * on a limited queue are serialized and counted correctly.
+ *
+ * @param {Object} client Client in the claiming transaction
+ * @param {Integer} queueId
+ * @param {Integer} limit Number of items requested
+ * @param {function} done Callback, with the number of items that may be claimed
+ */
+DbWrkrPostgreSQL.prototype.queueAllowance = function queueAllowance(client, queueId, limit, done) {
+    const limitsQuery = `
+        SELECT  "max_in_flight", "rate_per_minute"
+        FROM    ${this.tables.queueLimits}
+        WHERE   "queue_id" = $1
+        FOR UPDATE`;
+
+    client.query(limitsQuery, [queueId], (err, result) => {
+        if (err) return done(err);
+        if (result.rowCount === 0) return done(null, limit);
+
+        const limits = result.rows[0];
+        const usageQuery = `
+            SELECT  count(*) FILTER (WHERE "locked_until" IS NOT NULL AND "done" IS NULL) AS "inFlight",
+                    count(*) FILTER (WHERE "claimed" > $2) AS "recent"
+            FROM    ${this.tables.items}
+            WHERE   "queue_id" = $1
+            AND     ("claimed" > $2 OR ("locked_until" IS NOT NULL AND "done" IS NULL))`;
+
+        client.query(usageQuery, [queueId, new Date(Date.now() - 60000)], (err, result) => {
+            if (err) return done(err);
+
+            const usage = result.rows[0];
+            let allowed = limit;
+            if (_.isNumber(limits.max_in_flight)) {
+                allowed = Math.min(allowed, limits.max_in_flight - parseInt(usage.inFlight, 10));
+            }
+            if (_.isNumber(limits.rate_per_minute)) {
+                allowed = Math.min(allowed, limits.rate_per_minute - parseInt(usage.recent, 10));
+            }
+
+            debug('queueAllowance', {queueId: queueId, limits: limits, usage: usage, allowed: allowed});
+            done(null, allowed);
+        });
+    });
+};
+
+/**
+ * Set the limits of a queue, enforced by fetchNext and fetchMany across all workers
+ *
+ * maxInFlight: maximum number of leased items (requires leaseMs), ratePerMinute: maximum
+ * number of items claimed within the last minute. Pass null (or leave out) to remove a limit.
+ *
+ * @param {String} queue
+ * @param {Object} limits maxInFlight, ratePerMinute
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.setQueueLimits = function setQueueLimits(queue, limits, done) {
+    debug('setQueueLimits', {queue: queue, limits: limits});
+
+    const maxInFlight = _.isNumber(limits.maxInFlight) ? limits.maxInFlight : null;
+    const ratePerMinute = _.isNumber(limits.ratePerMinute) ? limits.ratePerMinute : null;
+
+    this.getOrInsertIdValue('queue', queue, (err, queueId) => {
+        if (err) return done(err);
+
+        if (maxInFlight === null && ratePerMinute === null) {
+            const deleteQuery = `DELETE FROM ${this.tables.queueLimits} WHERE "queue_id" = $1`;
+            return this.pool.query(deleteQuery, [queueId], err => done(err || null));
+        }
+
+        const upsertQuery = `
+            INSERT INTO ${this.tables.queueLimits} ("queue_id", "max_in_flight", "rate_per_minute")
+            VALUES      ($1, $2, $3)
+            ON CONFLICT ("queue_id") DO UPDATE
+            SET         "max_in_flight" = EXCLUDED."max_in_flight",
+                        "rate_per_minute" = EXCLUDED."rate_per_minute"`;
+
+        this.pool.query(upsertQuery, [queueId, maxInFlight, ratePerMinute], err => done(err || null));
+    });
+};
+
+/**
+ * Get the limits of a queue
+ *
+ * @param {String} queue
+ * @param {function} done Callback, with maxInFlight and ratePerMinute (null when not limited)
+ */
+DbWrkrPostgreSQL.prototype.getQueueLimits = function getQueueLimits(queue, done) {
+    const limitsQuery = `
+        SELECT      li."max_in_flight", li."rate_per_minute"
+        FROM        ${this.tables.queueLimits} AS li
+        INNER JOIN  ${this.tables.queues} AS qu ON li.queue_id=qu.id
+        WHERE       qu.name = $1`;
+
+    this.pool.query(limitsQuery, [queue], (err, result) => {
+        if (err) return done(err);
+
+        const limits = result.rows[0] || {};
+        done(null, {
+            maxInFlight: _.isNumber(limits.max_in_flight) ? limits.max_in_flight : null,
+            ratePerMinute: _.isNumber(limits.rate_per_minute) ? limits.rate_per_minute : null
+        });
+    });
+};
+
+/**
+ * Acknowledge a leased item, marks it done
+ *
+ * @param {String} id Item id
+ * @param {Object} opt Options, result: JSON value stored with the item
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.ack = function ack(id, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('ack', {id: id, worker: this.workerId});
+
+    const ackQuery = `
+        UPDATE ${this.tables.items}
+        SET    "done" = $3, "locked_until" = NULL, "locked_by" = NULL, "result" = $4
+        WHERE  "id" = $1
+        AND    "locked_by" = $2
+        AND    "done" IS NULL
+        RETURNING "parent"`;
+
+    this.withTransaction((client, cb) => {
+        const values = [id, this.workerId, new Date(), _.isUndefined(opt.result) ? null : JSON.stringify(opt.result)];
+        client.query(ackQuery, values, (err, result) => {
+            if (err) return cb(err);
+            if (result.rowCount === 0) return cb(utils.createError('leaseNotFound'));
+
+            this.completeParents(client, [result.rows[0].parent], cb);
+        });
+    }, err => done(err || null));
+};
+
+/**
+ * Reject a leased item, it is rescheduled with an incremented retryCount
+ * or moved to the dead-letter queue when it went past maxRetries
+ *
+ * @param {String} id Item id
+ * @param {Object} opt Options, delay: milliseconds before the item is due again, error: Error or reason
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.nack = function nack(id, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('nack', {id: id, worker: this.workerId, opt: opt});
+
+    const attempt = {lockedBy: this.workerId, delay: opt.delay, error: opt.error};
+    this.retryOrDeadLetter(id, attempt, (err, state, queueId) => {
+        if (err) return done(err);
+        if (!state) return done(utils.createError('leaseNotFound'));
+        if (state === 'dead') return done(null);
+
+        this.notifyQueueIds([queueId], done);
+    });
+};
+
+/**
+ * Extend the lease of an item this worker holds, for long running jobs
+ *
+ * @param {String} id Item id
+ * @param {Integer} ms New lease duration from now in milliseconds
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.extendLease = function extendLease(id, ms, done) {
+    debug('extendLease', {id: id, worker: this.workerId, ms: ms});
+
+    const extendLeaseQuery = `
+        UPDATE ${this.tables.items}
+        SET    "locked_until" = $3
+        WHERE  "id" = $1
+        AND    "locked_by" = $2
+        AND    "done" IS NULL`;
+
+    this.pool.query(extendLeaseQuery, [id, this.workerId, new Date(Date.now() + ms)], (err, result) => {
+        if (err) return done(err);
+        if (result.rowCount === 0) return done(utils.createError('leaseNotFound'));
+
+        done(null);
+    });
+};
+
+/**
+ * Return items with an expired lease to their queue (the worker crashed or stalled)
+ * Every reclaim counts as an attempt, items that go past maxRetries are dead-lettered
+ *
+ * Items are reclaimed in batches of reclaimBatchSize, every batch is a single statement
+ * that skips items that are locked.
+ *
+ * @param {function} done Callback, with the number of reclaimed items
+ */
+DbWrkrPostgreSQL.prototype.reclaimExpired = function reclaimExpired(done) {
+    const reclaimed = [];
+
+    let count;
+    async.doWhilst(cb => {
+        this.reclaimBatch((err, rows) => {
+            if (err) return cb(err);
+
+            count = rows.length;
+            reclaimed.push.apply(reclaimed, _.reject(rows, 'dead'));
+            cb(null);
+        });
+    }, () => count === this.reclaimBatchSize, err => {
+        if (err) return done(err);
+
+        debug('reclaimExpired', {count: reclaimed.length});
+        this.notifyQueueIds(_.map(reclaimed, 'queue_id'), err => {
+            if (err) return done(err);
+            done(null, reclaimed.length);
+        });
+    });
+};
+
+/**
+ * Reclaim a batch of items with an expired lease, see reclaimExpired
+ * Items past the maxRetries of their queue move to its dead-letter queue, which is created
+ * when it does not exist yet.
+ *
+ * @param {function} done Callback, with rows of the queue_id and dead (true when dead-lettered) per item
+ */
+DbWrkrPostgreSQL.prototype.reclaimBatch = function reclaimBatch(done) {
+    const limitedQueues = _.pickBy(_.mapValues(this.queueOptions, 'maxRetries'), _.isNumber);
+    const reclaimQuery = `
+        WITH expired AS (
+            SELECT      it."id", it."queue_id", qu."name",
+                        COALESCE(mr."max_retries", $4) IS NOT NULL
+                        AND COALESCE(it."retryCount", 0) + 1 > COALESCE(mr."max_retries", $4) AS "dead"
+            FROM        ${this.tables.items} AS it
+            INNER JOIN  ${this.tables.queues} AS qu ON qu."id" = it."queue_id"
+            LEFT JOIN   unnest($5::text[], $6::integer[]) AS mr("name", "max_retries") ON mr."name" = qu."name"
+            WHERE       it."locked_until" < $1
+            AND         it."done" IS NULL
+            ORDER BY    it."locked_until"
+            LIMIT       $2
+            FOR UPDATE OF it SKIP LOCKED
+        ), dead_queues AS (
+            INSERT INTO ${this.tables.queues} ("name")
+            SELECT      DISTINCT "name" || $3
+            FROM        expired
+            WHERE       "dead"
+            ON CONFLICT ("name") DO UPDATE SET "name" = EXCLUDED."name"
+            RETURNING   "id", "name"
+        )
+        UPDATE  ${this.tables.items} AS it
+        SET     "retryCount" = COALESCE(it."retryCount", 0) + 1,
+                "when" = CASE WHEN expired."dead" THEN NULL ELSE $1 END,
+                "failed" = CASE WHEN expired."dead" THEN $1 END,
+                "queue_id" = COALESCE(dq."id", it."queue_id"),
+                "origin_queue_id" = CASE WHEN expired."dead" THEN it."queue_id" END,
+                "error" = 'leaseExpired',
+                "error_stack" = NULL,
+                "dedupe_key" = CASE WHEN expired."dead" THEN NULL ELSE it."dedupe_key" END,
+                "history" = COALESCE(it."history", '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                    'attempt', COALESCE(it."retryCount", 0) + 1,
+                    'error', 'leaseExpired',
+                    'stack', NULL,
+                    'worker', it."locked_by",
+                    'at', $1::timestamptz
+                ) || CASE WHEN expired."dead" THEN jsonb_build_object('dedupeKey', it."dedupe_key") ELSE '{}' END),
+                "locked_until" = NULL,
+                "locked_by" = NULL
+        FROM    expired
+        LEFT JOIN dead_queues AS dq ON dq."name" = expired."name" || $3
+        WHERE   it."id" = expired."id"
+        RETURNING it."queue_id", expired."dead"`;
+
+    const values = [
+        new Date(),
+        this.reclaimBatchSize,
+        this.deadLetterQueueName(''), // The dead-letter queue name suffix
+        this.maxRetries,
+        _.keys(limitedQueues),
+        _.values(limitedQueues)
+    ];
+
+    this.pool.query(reclaimQuery, values, (err, result) => {
+        if (err) return done(err);
+        done(null, result.rows);
+    });
+};
+
+/**
+ * Get the maxRetries setting for a queue, queueOptions take precedence over the global option
+ *
+ * @param {String} queueName
+ * @return {Integer} maxRetries, null when unlimited
+ */
+DbWrkrPostgreSQL.prototype.maxRetriesFor = function maxRetriesFor(queueName) {
+    const queueOptions = this.queueOptions[queueName] || {};
+    return _.isNumber(queueOptions.maxRetries) ? queueOptions.maxRetries : this.maxRetries;
+};
+
+/**
+ * Get the dead-letter queue name for a queue
+ *
+ * @param {String} queueName
+ * @return {String}
+ */
+DbWrkrPostgreSQL.prototype.deadLetterQueueName = function deadLetterQueueName(queueName) {
+    return `${queueName}.dead`;
+};
+
+/**
+ * List the dead-lettered items of a queue
+ *
+ * @param {String} queue Original queue name
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.listDeadLetters = function listDeadLetters(queue, done) {
+    debug('listDeadLetters', queue);
+
+    this.getRelationalValue('id', 'queue', this.deadLetterQueueName(queue), (err, deadQueueId) => {
+        if (err && !utils.isError(err, 'noRecordsFound')) return done(err);
+        if (err) return done(null, []);
+
+        const listQuery = `
+            SELECT      *
+            FROM        ${this.tables.items}
+            WHERE       "queue_id" = $1
+            AND         "failed" IS NOT NULL
+            ORDER BY    "failed" ASC, "id" ASC`;
+
+        this.pool.query(listQuery, [deadQueueId], (err, result) => {
+            if (err) return done(err);
+            this.itemsMapper(result.rows, done);
+        });
+    });
+};
+
+/**
+ * Inspect a dead-lettered item, including its error and retry history
+ *
+ * @param {String} id Item id
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.getDeadLetter = function getDeadLetter(id, done) {
+    debug('getDeadLetter', id);
+
+    const getQuery = `SELECT * FROM ${this.tables.items} WHERE "id" = $1 AND "failed" IS NOT NULL`;
+    this.pool.query(getQuery, [id], (err, result) => {
+        if (err) return done(err);
+        if (result.rowCount === 0) return done(utils.createError('deadLetterNotFound'));
+
+        this.fieldMapper(result.rows[0], done);
+    });
+};
+
+/**
+ * Move dead-lettered items back to their original queue with a reset retryCount
+ * They come back without a dedupeKey, the queue may hold a newer item with that key by now.
+ *
+ * @param {String} queue Original queue name
+ * @param {Object} opt Options, ids: only requeue these items
+ * @param {function} done Callback, with the number of requeued items
+ */
+DbWrkrPostgreSQL.prototype.requeueDeadLetters = function requeueDeadLetters(queue, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('requeueDeadLetters', {queue: queue, opt: opt});
+
+    this.getRelationalValue('id', 'queue', this.deadLetterQueueName(queue), (err, deadQueueId) => {
+        if (err && !utils.isError(err, 'noRecordsFound')) return done(err);
+        if (err) return done(null, 0);
+
+        const requeueQuery = `
+            UPDATE ${this.tables.items}
+            SET    "queue_id" = "origin_queue_id",
+                   "origin_queue_id" = NULL,
+                   "failed" = NULL,
+                   "when" = $2,
+                   "retryCount" = 0,
+                   "dedupe_key" = NULL
+            WHERE  "queue_id" = $1
+            AND    "failed" IS NOT NULL
+            AND    ($3::integer[] IS NULL OR "id" = ANY($3::integer[]))
+            RETURNING "queue_id"`;
+
+        this.pool.query(requeueQuery, [deadQueueId, new Date(), opt.ids || null], (err, result) => {
+            if (err) return done(err);
+
+            this.notifyQueueIds(_.map(result.rows, 'queue_id'), err => {
+                if (err) return done(err);
+                done(null, result.rowCount);
+            });
+        });
+    });
+};
+
+/**
+ * Delete dead-lettered items
+ *
+ * @param {String} queue Original queue name
+ * @param {Object} opt Options, ids: only purge these items
+ * @param {function} done Callback, with the number of purged items
+ */
+DbWrkrPostgreSQL.prototype.purgeDeadLetters = function purgeDeadLetters(queue, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('purgeDeadLetters', {queue: queue, opt: opt});
+
+    this.getRelationalValue('id', 'queue', this.deadLetterQueueName(queue), (err, deadQueueId) => {
+        if (err && !utils.isError(err, 'noRecordsFound')) return done(err);
+        if (err) return done(null, 0);
+
+        const purgeQuery = `
+            DELETE FROM ${this.tables.items}
+            WHERE  "queue_id" = $1
+            AND    "failed" IS NOT NULL
+            AND    ($2::integer[] IS NULL OR "id" = ANY($2::integer[]))`;
+
+        this.pool.query(purgeQuery, [deadQueueId, opt.ids || null], (err, result) => {
+            if (err) return done(err);
+            done(null, result.rowCount);
+        });
+    });
+};
+
+/**
+ * Get the direct children of an item, oldest first
+ *
+ * @param {String} id Parent item id
+ * @param {function} done Callback, with the child items
+ */
+DbWrkrPostgreSQL.prototype.children = function children(id, done) {
+    debug('children', id);
+
+    const childrenQuery = `
+        SELECT      *
+        FROM        ${this.tables.items}
+        WHERE       "parent" = $1
+        ORDER BY    "created" ASC, "id" ASC`;
+
+    this.pool.query(childrenQuery, [id], (err, result) => {
+        if (err) return done(err);
+        this.itemsMapper(result.rows, done);
+    });
+};
+
+/**
+ * Get an item and its ancestors, walking the parent chain up to the root
+ *
+ * @param {String} id Item id
+ * @param {function} done Callback, with the item first and the root last
+ */
+DbWrkrPostgreSQL.prototype.lineage = function lineage(id, done) {
+    debug('lineage', id);
+
+    const lineageQuery = `
+        WITH RECURSIVE chain AS (
+            SELECT      it.*, 0 AS "depth", ARRAY[it."id"] AS "path"
+            FROM        ${this.tables.items} AS it
+            WHERE       it."id" = $1
+            UNION ALL
+            SELECT      it.*, chain."depth" + 1, chain."path" || it."id"
+            FROM        ${this.tables.items} AS it
+            INNER JOIN  chain ON it."id" = chain."parent"
+            WHERE       NOT it."id" = ANY(chain."path")
+        )
+        SELECT * FROM chain ORDER BY "depth" ASC`;
+
+    this.pool.query(lineageQuery, [id], (err, result) => {
+        if (err) return done(err);
+        if (result.rowCount === 0) return done(utils.createError('itemNotFound'));
+
+        this.itemsMapper(result.rows, done);
+    });
+};
+
+/**
+ * Get an item with all its descendants
+ * Every item in the tree has a children array, oldest child first.
+ *
+ * @param {String} id Root item id
+ * @param {function} done Callback, with the root item
+ */
+DbWrkrPostgreSQL.prototype.tree = function tree(id, done) {
+    debug('tree', id);
+
+    const treeQuery = `
+        WITH RECURSIVE descendants AS (
+            SELECT      it.*, 0 AS "depth", ARRAY[it."id"] AS "path"
+            FROM        ${this.tables.items} AS it
+            WHERE       it."id" = $1
+            UNION ALL
+            SELECT      it.*, descendants."depth" + 1, descendants."path" || it."id"
+            FROM        ${this.tables.items} AS it
+            INNER JOIN  descendants ON it."parent" = descendants."id"
+            WHERE       NOT it."id" = ANY(descendants."path")
+        )
+        SELECT * FROM descendants ORDER BY "depth" ASC, "created" ASC, "id" ASC`;
+
+    this.pool.query(treeQuery, [id], (err, result) => {
+        if (err) return done(err);
+        if (result.rowCount === 0) return done(utils.createError('itemNotFound'));
+
+        this.itemsMapper(result.rows, (err, items) => {
+            if (err) return done(err);
+
+            const root = items[0];
+            const byParent = _.groupBy(_.tail(items), 'parent');
+            const nest = item => _.assign(item, {children: _.map(byParent[item.id] || [], nest)});
+
+            done(null, nest(root));
+        });
+    });
+};
+
+/**
+ * Publish the onChildrenDone follow-up of parents whose children are all done
+ *
+ * The parent rows are locked first, so of two transactions that complete the last children
+ * concurrently the second one sees the first one's work. A follow-up is published once.
+ *
+ * @param {Object} client Client in the transaction that completed the children
+ * @param {Array} parentIds Parents of the completed children
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.completeParents = function completeParents(client, parentIds, done) {
+    const ids = _.sortBy(_.uniq(_.map(_.compact(parentIds), id => parseInt(id, 10))));
+    if (ids.length === 0) return done(null);
+
+    const lockQuery = `
+        SELECT      "id"
+        FROM        ${this.tables.items}
+        WHERE       "id" = ANY($1::integer[])
+        AND         "on_children_done" IS NOT NULL
+        AND         "children_done" IS NULL
+        ORDER BY    "id"
+        FOR UPDATE`;
+    const completeQuery = `
+        UPDATE      ${this.tables.items} AS pa
+        SET         "children_done" = $2
+        WHERE       pa."id" = ANY($1::integer[])
+        AND         pa."on_children_done" IS NOT NULL
+        AND         pa."children_done" IS NULL
+        AND         NOT EXISTS (
+            SELECT  1
+            FROM    ${this.tables.items} AS ch
+            WHERE   ch."parent" = pa."id"
+            AND     ch."done" IS NULL
+        )
+        RETURNING   pa."id", pa."tid", pa."on_children_done"`;
+
+    client.query(lockQuery, [ids], (err, result) => {
+        if (err) return done(err);
+        if (result.rowCount === 0) return done(null);
+
+        const now = new Date();
+        client.query(completeQuery, [_.map(result.rows, 'id'), now], (err, result) => {
+            if (err) return done(err);
+            if (result.rowCount === 0) return done(null);
+
+            const events = _.map(result.rows, row => {
+                return _.assign({tid: row.tid, when: now, retryCount: 0}, row.on_children_done, {
+                    parent: row.id,
+                    created: now
+                });
+            });
+            debug('completeParents', {parents: _.map(result.rows, 'id')});
+
+            this.insertEvents(events, client, err => done(err || null));
+        });
+    });
+};
+
+/**
+ * Wait for the next item on a queue
+ * Tries fetchNext, and when the queue is empty waits for a notification from publish
+ * or for the earliest scheduled item to become due, whichever comes first.
+ * Calls back with undefined when no item became available within timeoutMs.
+ *
+ * @param {String} queue
+ * @param {Integer} timeoutMs Maximum time to wait in milliseconds
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.waitForNext = function waitForNext(queue, timeoutMs, done) {
+    debug('waitForNext', {queue: queue, timeoutMs: timeoutMs});
+
+    const deadline = Date.now() + timeoutMs;
+    let timer = null;
+    let fetching = false;
+    let fetchAgain = false;
+    let finished = false;
+
+    const finish = (err, item) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        this.listener.remove(this.notifyChannel, onNotification);
+        done(err, item);
+    };
+
+    const schedule = nextDue => {
+        const now = Date.now();
+        let wait = deadline - now;
+        if (nextDue && nextDue.getTime() - now < wait) {
+            wait = Math.max(nextDue.getTime() - now, 0);
+        }
+
+        clearTimeout(timer);
+        timer = setTimeout(attempt, wait);
+    };
+
+    const attempt = () => {
+        if (finished) return;
+        if (fetching) {
+            fetchAgain = true;
+            return;
+        }
+
+        fetching = true;
+        this.fetchNext(queue, (err, item) => {
+            fetching = false;
+            // A queue that was never used has no id yet, treat it as empty
+            if (err && !utils.isError(err, 'noRecordsFound')) return finish(err);
+            if (item) return finish(null, item);
+            if (fetchAgain) {
+                fetchAgain = false;
+                return attempt();
+            }
+            if (Date.now() >= deadline) return finish(null, undefined);
+
+            const nextDueQuery = `
+                SELECT      min(it."when") AS "next"
+                FROM        ${this.tables.items} AS it
+                INNER JOIN  ${this.tables.queues} AS qu ON it.queue_id=qu.id
+                WHERE       qu.name = $1
+                AND         it."when" > $2`;
+
+            this.pool.query(nextDueQuery, [queue, new Date()], (err, res) => {
+                if (err) return finish(err);
+                if (finished) return;
+                schedule(res.rows[0].next);
+            });
+        });
+    };
+
+    const onNotification = (err, queueName) => {
+        if (err) return finish(err);
+        if (queueName === queue) attempt();
+    };
+
+    this.listener.add(this.notifyChannel, onNotification, err => {
+        if (err) return finish(err);
+        attempt();
+    });
+};
+
+/**
+ * Find items based on the given criteria
+ *
+ * Without criteria on the id or on the state of items (when, done, failed, cancelled,
+ * lease, result or error fields) only pending items (with a "when") are found.
+ * See lib/query.js for the supported operators.
+ *
+ * @param {Object} criteria
+ * @param {Object} opt Options: sort, limit, offset and after (the last item of the previous page)
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.find = function find(criteria, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('Finding ', {criteria: criteria, opt: opt});
+
+    const stateFields = ['id', 'when', 'done', 'failed', 'cancelled', 'lockedUntil', 'lockedBy', 'result', 'error', 'errorStack'];
+    const hasState = _.some(_.keys(criteria), field => stateFields.indexOf(field.split('.')[0]) !== -1);
+    const findCriteria = hasState ? criteria : _.assign({when: {$exists: true}}, criteria);
+
+    let whereSQL;
+    let pageSQL;
+    try {
+        whereSQL = query.createWhereSQL(findCriteria, 1, this.tables);
+        pageSQL = query.createPageSQL(opt, whereSQL.counter);
+    } catch (err) {
+        return done(err);
+    }
+
+    let whereText = whereSQL.text;
+    if (pageSQL.after) {
+        whereText = whereText ? `${whereText} AND ${pageSQL.after}` : `WHERE ${pageSQL.after}`;
+    }
+
+    const findQuery = `
+        SELECT *
+        FROM   ${this.tables.items}
+        ${whereText}
+        ${pageSQL.order}
+        ${pageSQL.page}`;
+
+    this.pool.query(findQuery, whereSQL.values.concat(pageSQL.values), (err, result) => {
+        if (err) return done(err);
+
+        debug('Found ', result.rows);
+        this.itemsMapper(result.rows, done);
+    });
+};
+
+/**
+ * Remove items based on criteria
+ * 
+ * @param {Object} criteria
+ * @param {Object} opt Options, client: pg client (in a transaction) to use instead of the pool
+ * @param {function} done Callback option
+ */
+DbWrkrPostgreSQL.prototype.remove = function remove(criteria, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('Removing', criteria);
+
+    let whereSQL;
+    try {
+        whereSQL = query.createWhereSQL(criteria, 1, this.tables);
+    } catch (err) {
+        return done(err);
+    }
+
+    const removeQuery = `
+        DELETE FROM ${this.tables.items}
+        ${whereSQL.text}
+    `;
+
+    this.clientFor(opt).query(removeQuery, whereSQL.values, err => {
+        if (err) return done(err);
+
+        debug('Removed', criteria);
+        done(null);
+    });
+};
+
+/**
+ * Cancel pending items
+ *
+ * Only items that are waiting in their queue are cancelled, claimed and done items are left
+ * alone. Cancelled items are kept for the audit trail: they get a cancelled timestamp and a
+ * history entry, and release their dedupeKey.
+ *
+ * @param {Object} criteria Criteria, same as find
+ * @param {Object} opt Options: reason, client (see publish)
+ * @param {function} done Callback, with the number of cancelled items
+ */
+DbWrkrPostgreSQL.prototype.cancel = function cancel(criteria, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('cancel', {criteria: criteria, opt: opt});
+
+    let whereSQL;
+    try {
+        whereSQL = this.pendingWhereSQL(criteria);
+    } catch (err) {
+        return done(err);
+    }
+
+    const at = whereSQL.counter;
+    const cancelQuery = `
+        UPDATE ${this.tables.items}
+        SET    "cancelled" = $${at},
+               "when" = NULL,
+               "dedupe_key" = NULL,
+               "history" = COALESCE("history", '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                   'action', 'cancelled',
+                   'reason', $${at + 1}::text,
+                   'when', "when",
+                   'dedupeKey', "dedupe_key",
+                   'at', $${at}::timestamptz
+               ))
+        ${whereSQL.text}`;
+    const values = whereSQL.values.concat([new Date(), opt.reason ? String(opt.reason) : null]);
+
+    this.clientFor(opt).query(cancelQuery, values, (err, result) => {
+        if (err) return done(err);
+
+        debug('cancelled', result.rowCount);
+        done(null, result.rowCount);
+    });
+};
+
+/**
+ * Move pending items to a new due date
+ *
+ * Like cancel, claimed and done items are left alone. The previous due date is kept in the
+ * item history and waiting workers are notified.
+ *
+ * @param {Object} criteria Criteria, same as find
+ * @param {Date} newWhen Fails with invalidWhen when it is not a valid Date
+ * @param {Object} opt Options: client (see publish)
+ * @param {function} done Callback, with the number of rescheduled items
+ */
+DbWrkrPostgreSQL.prototype.reschedule = function reschedule(criteria, newWhen, opt, done) {
+    if (typeof newWhen === 'function') {
+        done = newWhen;
+        newWhen = undefined;
+        opt = {};
+    } else if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('reschedule', {criteria: criteria, newWhen: newWhen});
+
+    // Items without a due date would be neither pending nor finished
+    if (!_.isDate(newWhen) || isNaN(newWhen.getTime())) return done(utils.createError('invalidWhen'));
+
+    let whereSQL;
+    try {
+        whereSQL = this.pendingWhereSQL(criteria);
+    } catch (err) {
+        return done(err);
+    }
+
+    const at = whereSQL.counter;
+    const rescheduleQuery = `
+        UPDATE ${this.tables.items}
+        SET    "when" = $${at},
+               "history" = COALESCE("history", '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                   'action', 'rescheduled',
+                   'from', "when",
+                   'to', $${at}::timestamptz,
+                   'at', $${at + 1}::timestamptz
+               ))
+        ${whereSQL.text}
+        RETURNING "queue_id"`;
+    const values = whereSQL.values.concat([newWhen, new Date()]);
+    const db = this.clientFor(opt);
+
+    db.query(rescheduleQuery, values, (err, result) => {
+        if (err) return done(err);
+
+        debug('rescheduled', result.rowCount);
+        const queueIds = _.uniq(_.map(result.rows, 'queue_id'));
+        if (queueIds.length === 0) return done(null, 0);
+
+        async.map(queueIds, this.getRelationalValue('name', 'queue'), (err, queueNames) => {
+            if (err) return done(err);
+
+            this.notifyQueues(queueNames, db, err => {
+                if (err && db !== this.pool) return done(err);
+                if (err) debug('Notify failed', err);
+                done(null, result.rowCount);
+            });
+        });
+    });
+};
+
+/**
+ * Publish completed items again
+ *
+ * Every done item that matches the criteria is cloned as a new pending item, due now, with
+ * the original item as its parent. The clone keeps the event, tid, payload, priority and
+ * groupKey, but not the dedupeKey.
+ *
+ * @param {Object} criteria Criteria, same as find
+ * @param {Object} opt Options: targetQueue (defaults to the queue of each item), dryRun: only count
+ * @param {function} done Callback, with the number of (to be) replayed items
+ */
+DbWrkrPostgreSQL.prototype.replay = function replay(criteria, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    debug('replay', {criteria: criteria, opt: opt});
+
+    let whereSQL;
+    try {
+        whereSQL = query.createWhereSQL(criteria, 1, this.tables);
+    } catch (err) {
+        return done(err);
+    }
+
+    const doneSQL = whereSQL.text ? `${whereSQL.text} AND "done" IS NOT NULL` : 'WHERE "done" IS NOT NULL';
+    if (opt.dryRun) {
+        const countQuery = `SELECT count(*) AS "count" FROM ${this.tables.items} ${doneSQL}`;
+        return this.pool.query(countQuery, whereSQL.values, (err, result) => {
+            if (err) return done(err);
+            done(null, parseInt(result.rows[0].count, 10));
+        });
+    }
+
+    const at = whereSQL.counter;
+    const replayQuery = `
+        WITH replayed AS (
+            INSERT INTO ${this.tables.items} (
+                "event_id",
+                "queue_id",
+                "tid",
+                "payload",
+                "parent",
+                "created",
+                "when",
+                "retryCount",
+                "priority",
+                "group_key")
+            SELECT  "event_id",
+                    COALESCE($${at}::integer, "queue_id"),
+                    "tid",
+                    "payload",
+                    "id",
+                    $${at + 1},
+                    $${at + 1},
+                    0,
+                    "priority",
+                    "group_key"
+            FROM    ${this.tables.items}
+            ${doneSQL}
+            ORDER BY "done" ASC, "id" ASC
+            RETURNING "queue_id"
+        )
+        SELECT "queue_id", count(*) AS "count" FROM replayed GROUP BY "queue_id"`;
+
+    const targetQueueId = cb => {
+        if (!opt.targetQueue) return cb(null, null);
+        this.getOrInsertIdValue('queue', opt.targetQueue, cb);
+    };
+
+    targetQueueId((err, queueId) => {
+        if (err) return done(err);
+
+        this.pool.query(replayQuery, whereSQL.values.concat([queueId, new Date()]), (err, result) => {
+            if (err) return done(err);
+
+            const count = _.sumBy(result.rows, row => parseInt(row.count, 10));
+            debug('replayed', count);
+            if (count === 0) return done(null, 0);
+
+            this.notifyQueueIds(_.map(result.rows, 'queue_id'), err => {
+                if (err) debug('Notify failed', err);
+                done(null, count);
+            });
+        });
+    });
+};
+
+/**
+ * Create the WHERE clause for criteria, limited to pending items
+ *
+ * @param {Object} criteria
+ * @return {Object} Object containing text, values and counter, see query.createWhereSQL
+ */
+DbWrkrPostgreSQL.prototype.pendingWhereSQL = function pendingWhereSQL(criteria) {
+    const whereSQL = query.createWhereSQL(criteria, 1, this.tables);
+    const pending = '"when" IS NOT NULL AND "done" IS NULL';
+
+    whereSQL.text = whereSQL.text ? `${whereSQL.text} AND ${pending}` : `WHERE ${pending}`;
+    return whereSQL;
+};
+
+/**
+ * Reserve item ids from the items sequence
+ *
+ * @param {Integer} count
+ * @param {Object} db Pool or client
+ * @param {function} done Callback, with the ids in ascending order
+ */
+DbWrkrPostgreSQL.prototype.reserveItemIds = function reserveItemIds(count, db, done) {
+    const reserveQuery = `
+        SELECT  nextval(pg_get_serial_sequence($1, 'id')) AS "id"
+        FROM    generate_series(1, $2)`;
+
+    db.query(reserveQuery, [this.tables.items, count], (err, result) => {
+        if (err) return done(err);
+        done(null, _.sortBy(_.map(result.rows, row => parseInt(row.id, 10))));
+    });
+};
+
+/**
+ * Export events, queues, subscriptions and items as newline delimited JSON
+ *
+ * Every line is an object with a type ('event', 'queue', 'subscription' or 'item'). Names
+ * and queues come first so importData can resolve them before the items. Items are read
+ * in chunks of exportChunkSize and written as the stream drains. The writable is not ended,
+ * an 'error' it emits during the export stops the export and is passed to done.
+ *
+ * @param {Object} criteria Item criteria, same as find (without the pending default)
+ * @param {Object} writable Writable stream
+ * @param {function} done Callback, with the number of exported lines per type
+ */
+DbWrkrPostgreSQL.prototype.exportData = function exportData(criteria, writable, done) {
+    debug('exportData', criteria);
+
+    let whereSQL;
+    try {
+        whereSQL = query.createWhereSQL(criteria, 1, this.tables);
+    } catch (err) {
+        return done(err);
+    }
+
+    // The writable can fail between two writes too, the next write passes the error on
+    let writeError = null;
+    const onWriteError = err => {
+        writeError = writeError || err;
+    };
+    const write = (lines, cb) => {
+        if (writeError) return cb(writeError);
+        ndjson.write(writable, lines, cb);
+    };
+    writable.on('error', onWriteError);
+
+    const counts = {events: 0, queues: 0, subscriptions: 0, items: 0};
+    const names = (type, table) => cb => {
+        this.pool.query(`SELECT "name" FROM ${table} ORDER BY "id"`, (err, result) => {
+            if (err) return cb(err);
+
+            counts[`${type}s`] = result.rowCount;
+            write(_.map(result.rows, row => ({type: type, name: row.name})), cb);
+        });
+    };
+    const subscriptionsQuery = `
+        SELECT      ev."name" AS "event", qu."name" AS "queue"
+        FROM        ${this.tables.subscriptions} AS su
+        INNER JOIN  ${this.tables.events} AS ev ON su.event_id=ev.id
+        INNER JOIN  ${this.tables.queues} AS qu ON su.queue_id=qu.id
+        ORDER BY    ev."id", qu."id"`;
+
+    const itemsChunk = (after, cb) => {
+        let pageSQL;
+        try {
+            pageSQL = query.createPageSQL({sort: 'id', after: after, limit: this.exportChunkSize}, whereSQL.counter);
+        } catch (err) {
+            return cb(err);
+        }
+
+        let whereText = whereSQL.text;
+        if (pageSQL.after) {
+            whereText = whereText ? `${whereText} AND ${pageSQL.after}` : `WHERE ${pageSQL.after}`;
+        }
+
+        const itemsQuery = `
+            SELECT      it.*, ev."name" AS "event_name", qu."name" AS "queue_name", oq."name" AS "origin_queue_name"
+            FROM        (
+                SELECT  *
+                FROM    ${this.tables.items}
+                ${whereText}
+                ${pageSQL.order}
+                ${pageSQL.page}
+            ) AS it
+            LEFT JOIN   ${this.tables.events} AS ev ON it.event_id=ev.id
+            LEFT JOIN   ${this.tables.queues} AS qu ON it.queue_id=qu.id
+            LEFT JOIN   ${this.tables.queues} AS oq ON it.origin_queue_id=oq.id
+            ORDER BY    it."id"`;
+
+        this.pool.query(itemsQuery, whereSQL.values.concat(pageSQL.values), (err, result) => {
+            if (err) return cb(err);
+
+            counts.items += result.rowCount;
+            const lines = _.map(result.rows, row => _.omitBy({
+                type: 'item',
+                id: row.id,
+                name: row.event_name,
+                queue: row.queue_name,
+                originQueue: row.origin_queue_name,
+                tid: row.tid,
+                payload: row.payload,
+                parent: row.parent,
+                created: row.created,
+                when: row.when,
+                done: row.done,
+                retryCount: row.retryCount,
+                priority: row.priority,
+                groupKey: row.group_key,
+                dedupeKey: row.dedupe_key,
+                failed: row.failed,
+                cancelled: row.cancelled,
+                error: row.error,
+                errorStack: row.error_stack,
+                history: row.history,
+                result: row.result,
+                onChildrenDone: row.on_children_done,
+                childrenDone: row.children_done
+            }, _.isNil));
+
+            write(lines, err => {
+                if (err) return cb(err);
+                if (result.rowCount < this.exportChunkSize) return cb(null);
+
+                itemsChunk({id: _.last(result.rows).id}, cb);
+            });
+        });
+    };
+
+    async.series([
+        names('event', this.tables.events),
+        names('queue', this.tables.queues),
+        cb => this.pool.query(subscriptionsQuery, (err, result) => {
+            if (err) return cb(err);
+
+            counts.subscriptions = result.rowCount;
+            write(_.map(result.rows, row => _.assign({type: 'subscription'}, row)), cb);
+        }),
+        cb => itemsChunk(null, cb)
+    ], err => {
+        writable.removeListener('error', onWriteError);
+        if (err || writeError) return done(err || writeError);
+
+        debug('exported', counts);
+        done(null, counts);
+    });
+};
+
+/**
+ * Import newline delimited JSON as written by exportData
+ *
+ * Names are matched by name, items get new ids and their parent links are remapped to the
+ * new ids (parents that are not part of the import are cleared). Leased items are imported
+ * as pending, their lease belongs to a worker of the source database. Items with a dedupeKey
+ * that a queue already holds, or that an earlier line holds for that queue, are skipped,
+ * children of such an item are linked to the item that holds the key.
+ *
+ * The import runs in one transaction, so it is stored all or nothing. The stream is read in
+ * chunks of exportChunkSize lines and paused while a chunk is stored.
+ *
+ * @param {Object} readable Readable stream
+ * @param {function} done Callback, with the number of imported lines per type and of skipped items
+ */
+DbWrkrPostgreSQL.prototype.importData = function importData(readable, done) {
+    debug('importData');
+
+    const counts = {events: 0, queues: 0, subscriptions: 0, items: 0, skipped: 0};
+    const queueNames = {};
+    const idsTable = utils.quoteIdentifier(`${this.tables.prefix}import_ids`);
+    const createIdsQuery = `
+        CREATE TEMPORARY TABLE ${idsTable} (
+            "old_id"        integer PRIMARY KEY,
+            "new_id"        integer NOT NULL,
+            "old_parent"    integer
+        ) ON COMMIT DROP`;
+    const parentsQuery = `
+        UPDATE      ${this.tables.items} AS it
+        SET         "parent" = pa."new_id"
+        FROM        ${idsTable} AS ch
+        LEFT JOIN   ${idsTable} AS pa ON pa."old_id" = ch."old_parent"
+        WHERE       it."id" = ch."new_id"
+        AND         ch."old_parent" IS NOT NULL`;
+
+    this.withTransaction((client, cb) => {
+        client.query(createIdsQuery, err => {
+            if (err) return cb(err);
+
+            ndjson.read(readable, this.exportChunkSize, (objects, chunkCb) => {
+                _.each(_.filter(objects, {type: 'item'}), item => {
+                    queueNames[item.queue] = true;
+                });
+                this.importChunk(client, idsTable, objects, counts, chunkCb);
+            }, err => {
+                if (err) return cb(err);
+                client.query(parentsQuery, err => cb(err || null));
+            });
+        });
+    }, err => {
+        if (err) return done(err);
+
+        debug('imported', counts);
+        this.notifyQueues(_.keys(queueNames), this.pool, err => {
+            if (err) debug('Notify failed', err);
+            done(null, counts);
+        });
+    });
+};
+
+/**
+ * Store a chunk of imported lines
+ *
+ * @param {Object} client Client in the import transaction
+ * @param {String} idsTable Temporary table that maps old to new item ids
+ * @param {Array} objects Parsed lines
+ * @param {Object} counts Imported lines per type, updated
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.importChunk = function importChunk(client, idsTable, objects, counts, done) {
+    const byType = _.groupBy(objects, 'type');
+    const items = byType.item || [];
+    const subscriptions = byType.subscription || [];
+    const eventNames = _.map([].concat(byType.event || [], subscriptions, items), line => line.event || line.name);
+    const queueNames = _.flatMap([].concat(byType.queue || [], subscriptions, items), line => {
+        return line.type === 'queue' ? [line.name] : [line.queue, line.originQueue];
+    });
+
+    const subscriptionsQuery = `
+        INSERT INTO ${this.tables.subscriptions} ("event_id", "queue_id")
+        SELECT      *
+        FROM        unnest($1::integer[], $2::integer[])
+        ON CONFLICT DO NOTHING`;
+    const itemsQuery = `
+        INSERT INTO ${this.tables.items} (
+            "id", "event_id", "queue_id", "origin_queue_id", "tid", "payload", "created", "when", "done",
+            "retryCount", "priority", "group_key", "dedupe_key", "failed", "cancelled", "error", "error_stack",
+            "history", "result", "on_children_done", "children_done")
+        SELECT  "id", "event_id", "queue_id", "origin_queue_id", "tid", "payload", "created", "when", "done",
+                "retryCount", "priority", "group_key", "dedupe_key", "failed", "cancelled", "error", "error_stack",
+                "history", "result", "on_children_done", "children_done"
+        FROM    jsonb_to_recordset($1::jsonb) AS x(
+                    "id" integer, "event_id" integer, "queue_id" integer, "origin_queue_id" integer, "tid" text,
+                    "payload" jsonb, "created" timestamptz, "when" timestamptz, "done" timestamptz,
+                    "retryCount" integer, "priority" integer, "group_key" text, "dedupe_key" text,
+                    "failed" timestamptz, "cancelled" timestamptz, "error" text, "error_stack" text,
+                    "history" jsonb, "result" jsonb, "on_children_done" jsonb, "children_done" timestamptz)`;
+    const idsQuery = `
+        INSERT INTO ${idsTable} ("old_id", "new_id", "old_parent")
+        SELECT      *
+        FROM        unnest($1::integer[], $2::integer[], $3::integer[])`;
+    const existingQuery = `
+        SELECT      it."id", it."queue_id", it."dedupe_key"
+        FROM        ${this.tables.items} AS it
+        INNER JOIN  unnest($1::integer[], $2::text[]) AS x("queue_id", "dedupe_key")
+                    ON it."queue_id" = x."queue_id" AND it."dedupe_key" = x."dedupe_key"`;
+
+    async.auto({
+        eventIds: cb => this.importIdValues(client, 'event', eventNames, cb),
+        queueIds: cb => this.importIdValues(client, 'queue', queueNames, cb),
+        itemIds: cb => {
+            if (items.length === 0) return cb(null, []);
+            this.reserveItemIds(items.length, client, cb);
+        },
+        locked: cb => {
+            if (!this.partitioned) return cb(null);
+            this.lockDedupeKeys(items, _.map(items, item => item.dedupeKey || null), client, cb);
+        },
+        existing: ['queueIds', 'locked', (results, cb) => {
+            const keyed = _.filter(items, 'dedupeKey');
+            if (keyed.length === 0) return cb(null, {});
+
+            const values = [
+                _.map(keyed, item => results.queueIds[item.queue]),
+                _.map(keyed, item => String(item.dedupeKey))
+            ];
+            client.query(existingQuery, values, (err, result) => {
+                if (err) return cb(err);
+                cb(null, _.keyBy(result.rows, row => `${row.queue_id}:${row.dedupe_key}`));
+            });
+        }],
+        subscriptions: ['eventIds', 'queueIds', (results, cb) => {
+            if (subscriptions.length === 0) return cb(null);
+
+            const values = [
+                _.map(subscriptions, subscription => results.eventIds[subscription.event]),
+                _.map(subscriptions, subscription => results.queueIds[subscription.queue])
+            ];
+            client.query(subscriptionsQuery, values, err => cb(err || null));
+        }],
+        items: ['eventIds', 'queueIds', 'itemIds', 'existing', (results, cb) => {
+            if (items.length === 0) return cb(null);
+
+            const now = new Date();
+            // Of the items with the same queue and dedupeKey in the chunk only the first is imported
+            const firstOfKey = {};
+            const existingItems = _.map(items, (item, index) => {
+                if (!item.dedupeKey) return null;
+
+                const key = `${results.queueIds[item.queue]}:${item.dedupeKey}`;
+                const existing = results.existing[key] || firstOfKey[key] || null;
+                if (!existing) firstOfKey[key] = {id: results.itemIds[index]};
+                return existing;
+            });
+            const newIds = _.map(items, (item, index) => {
+                const existing = existingItems[index];
+                return existing ? existing.id : results.itemIds[index];
+            });
+            const allRecords = _.map(items, (item, index) => {
+                const leased = !item.when && !item.done && !item.failed && !item.cancelled;
+                return {
+                    id: results.itemIds[index],
+                    event_id: results.eventIds[item.name] || null,
+                    queue_id: results.queueIds[item.queue] || null,
+                    origin_queue_id: results.queueIds[item.originQueue] || null,
+                    tid: item.tid,
+                    payload: item.payload,
+                    created: item.created,
+                    when: leased ? now : item.when,
+                    done: item.done,
+                    retryCount: item.retryCount,
+                    priority: item.priority || 0,
+                    group_key: item.groupKey,
+                    dedupe_key: item.dedupeKey,
+                    failed: item.failed,
+                    cancelled: item.cancelled,
+                    error: item.error,
+                    error_stack: item.errorStack,
+                    history: item.history,
+                    result: item.result,
+                    on_children_done: item.onChildrenDone,
+                    children_done: item.childrenDone
+                };
+            });
+            const records = _.reject(allRecords, (record, index) => existingItems[index]);
+
+            // Skipped items keep their parent, only the imported ones are linked
+            const ids = [
+                _.map(items, 'id'),
+                newIds,
+                _.map(items, (item, index) => existingItems[index] ? null : item.parent || null)
+            ];
+
+            client.query(itemsQuery, [JSON.stringify(records)], err => {
+                if (err) return cb(err);
+                client.query(idsQuery, ids, err => cb(err || null, items.length - records.length));
+            });
+        }]
+    }, (err, results) => {
+        if (err) return done(err);
+
+        counts.events += (byType.event || []).length;
+        counts.queues += (byType.queue || []).length;
+        counts.subscriptions += subscriptions.length;
+        counts.items += items.length - (results.items || 0);
+        counts.skipped += results.items || 0;
+        done(null);
+    });
+};
+
+/**
+ * Get the ids of event or queue names for an insert on db
+ * On the pool they are resolved and memorized by getOrInsertIdValues. A client can be in a
+ * transaction holding locks that other pool clients wait for, so names that are not memorized
+ * are resolved on that client instead of waiting for a free pool client (see importIdValues).
+ *
+ * @param {String} valueType 'event' or 'queue'
+ * @param {Array} names
+ * @param {Object} db Pool or client
+ * @param {function} done Callback with an object of name => id
+ */
+DbWrkrPostgreSQL.prototype.idValuesFor = function idValuesFor(valueType, names, db, done) {
+    if (db === this.pool) return this.getOrInsertIdValues(valueType, names, done);
+
+    const memorizedIds = valueType === 'event' ? this.memorizedEventIds : this.memorizedQueueIds;
+    const uniqueNames = _.uniq(_.compact(names));
+    const memorizedNames = _.filter(uniqueNames, name => memorizedIds.has(name));
+    this.cacheCounters.hits += memorizedNames.length;
+    this.cacheCounters.misses += uniqueNames.length - memorizedNames.length;
+
+    this.importIdValues(db, valueType, _.difference(uniqueNames, memorizedNames), (err, ids) => {
+        if (err) return done(err);
+
+        _.each(memorizedNames, name => {
+            ids[name] = memorizedIds.get(name);
+        });
+        done(null, ids);
+    });
+};
+
+/**
+ * Get the ids of event or queue names on the import client, missing names are inserted
+ * Unlike getOrInsertIdValues the names are part of the import transaction, so they are not
+ * memorized: ids of a rolled back import must not end up in the caches.
+ *
+ * @param {Object} client Client in the import transaction
+ * @param {String} valueType 'event' or 'queue'
+ * @param {Array} names
+ * @param {function} done Callback with an object of name => id
+ */
+DbWrkrPostgreSQL.prototype.importIdValues = function importIdValues(client, valueType, names, done) {
+    const uniqueNames = _.sortBy(_.uniq(_.compact(names)));
+    if (uniqueNames.length === 0) return done(null, {});
+
+    const table = valueType === 'event' ? this.tables.events : this.tables.queues;
+    const selectQuery = `SELECT "id", "name" FROM ${table} WHERE "name" = ANY($1::text[])`;
+    const insertQuery = `
+        INSERT INTO ${table} ("name")
+        SELECT      unnest($1::text[])
+        ON CONFLICT ("name") DO UPDATE SET "name" = EXCLUDED."name"
+        RETURNING   "id", "name"`;
+    const idsOf = rows => _.fromPairs(_.map(rows, row => [row.name, row.id]));
+
+    client.query(selectQuery, [uniqueNames], (err, result) => {
+        if (err) return done(err);
+
+        const ids = idsOf(result.rows);
+        const missingNames = _.filter(uniqueNames, name => !_.has(ids, name));
+        if (missingNames.length === 0) return done(null, ids);
+
+        client.query(insertQuery, [missingNames], (err, result) => {
+            if (err) return done(err);
+            done(null, _.assign(ids, idsOf(result.rows)));
+        });
+    });
+};
+
+/**
+ * Apply the retention policies, in batches of retentionBatchSize items
+ *
+ * Done and cancelled items older than the policy's olderThan (milliseconds) are moved to
+ * the items archive, or deleted with mode 'delete'. The retention option is the policy for
+ * all queues, queueOptions[queue].retention overrides it (false keeps the items of that
+ * queue). Every batch is a statement of its own and skips items that are locked.
+ *
+ * With a partitioned items table the partitions are maintained as well: upcoming ones are
+ * created and those of past periods are dropped once they are empty.
+ *
+ * @param {function} done Callback, with the number of archived and deleted items
+ */
+DbWrkrPostgreSQL.prototype.applyRetention = function applyRetention(done) {
+    const totals = {archived: 0, deleted: 0};
+    const queuePolicies = _.pickBy(_.mapValues(this.queueOptions, 'retention'), policy => !_.isUndefined(policy));
+
+    async.mapSeries(_.keys(queuePolicies), (queue, cb) => {
+        this.getRelationalValue('id', 'queue', queue, (err, queueId) => {
+            if (err && !utils.isError(err, 'noRecordsFound')) return cb(err);
+            cb(null, {queueIds: err ? [] : [queueId], policy: queuePolicies[queue]});
+        });
+    }, (err, policies) => {
+        if (err) return done(err);
+
+        policies.push({queueIds: _.flatten(_.map(policies, 'queueIds')), exclude: true, policy: this.retention});
+        const applicable = _.filter(policies, entry => entry.policy && (entry.exclude || entry.queueIds.length > 0));
+
+        async.eachSeries(applicable, (entry, cb) => {
+            const mode = entry.policy.mode === 'delete' ? 'deleted' : 'archived';
+            const before = new Date(Date.now() - entry.policy.olderThan);
+
+            let count;
+            async.doWhilst(batchCb => {
+                this.retentionBatch(entry.queueIds, entry.exclude, before, mode === 'archived', (err, batchCount) => {
+                    if (err) return batchCb(err);
+
+                    count = batchCount;
+                    totals[mode] += batchCount;
+                    batchCb(null);
+                });
+            }, () => count === this.retentionBatchSize, cb);
+        }, err => {
+            if (err) return done(err);
+
+            debug('applyRetention', totals);
+            if (!this.partitioned) return done(null, totals);
+
+            async.series([
+                cb => setup.ensurePartitions(this.pool, this.tables, this.partitionBy, this.partitionPremake, cb),
+                cb => setup.dropEmptyPartitions(this.pool, this.tables, this.partitionBy, cb)
+            ], err => done(err || null, totals));
+        });
+    });
+};
+
+/**
+ * Archive or delete one batch of finished items
+ *
+ * @param {Array} queueIds
+ * @param {Boolean} exclude True for all queues except queueIds
+ * @param {Date} before Items done or cancelled before this date
+ * @param {Boolean} archive Move the items to the archive instead of deleting them
+ * @param {function} done Callback, with the number of items
+ */
+DbWrkrPostgreSQL.prototype.retentionBatch = function retentionBatch(queueIds, exclude, before, archive, done) {
+    const batchSQL = `
+        WITH batch AS (
+            SELECT  "id"
+            FROM    ${this.tables.items}
+            WHERE   ${exclude ? 'NOT' : ''} ("queue_id" = ANY($1::integer[]))
+            AND     ("done" < $2 OR "cancelled" < $2)
+            LIMIT   $3
+            FOR UPDATE SKIP LOCKED
+        ), removed AS (
+            DELETE FROM ${this.tables.items} AS it
+            USING       batch
+            WHERE       it."id" = batch."id"
+            RETURNING   it.*
+        )`;
+    const archiveQuery = `
+        ${batchSQL}
+        INSERT INTO ${this.tables.itemsArchive}
+        SELECT      (jsonb_populate_record(
+                        NULL::${this.tables.itemsArchive},
+                        to_jsonb(removed) || jsonb_build_object('archived', $4::timestamptz)
+                    )).*
+        FROM        removed`;
+    const deleteQuery = `
+        ${batchSQL}
+        SELECT count(*) AS "count" FROM removed`;
+
+    const values = [queueIds, before, this.retentionBatchSize];
+    if (archive) {
+        return this.pool.query(archiveQuery, values.concat([new Date()]), (err, result) => {
+            if (err) return done(err);
+            done(null, result.rowCount);
+        });
+    }
+
+    this.pool.query(deleteQuery, values, (err, result) => {
+        if (err) return done(err);
+        done(null, parseInt(result.rows[0].count, 10));
+    });
+};
+
+/**
+ * Queue statistics
+ *
+ * Per queue: the number of pending (due), scheduled (due in the future), in flight (leased),
+ * done and failed (dead-lettered, counted on their original queue) items, the age in seconds
+ * of the oldest pending item and the number of items done in the last 1, 5 and 15 minutes.
+ * With opt.groupBy 'priority' the statistics per queue are split up per priority.
+ *
+ * @param {String} queue Optional, only the statistics for this queue
+ * @param {Object} opt Optional, groupBy: 'priority'
+ * @param {function} done Callback, with statistics per queue name or for the given queue
+ */
+DbWrkrPostgreSQL.prototype.stats = function stats(queue, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+    if (typeof queue === 'function') {
+        done = queue;
+        queue = null;
+        opt = {};
+    }
+    if (_.isPlainObject(queue)) {
+        opt = queue;
+        queue = null;
+    }
+    debug('stats', {queue: queue, opt: opt});
+
+    const byPriority = opt.groupBy === 'priority';
+    const statsQuery = `
+        SELECT      qu.name AS "queue",
+                    ${byPriority ? 'it."priority",' : ''}
+                    count(*) FILTER (WHERE it."when" <= $1) AS "pending",
+                    count(*) FILTER (WHERE it."when" > $1) AS "scheduled",
+                    count(*) FILTER (WHERE it."locked_until" IS NOT NULL AND it."done" IS NULL) AS "inFlight",
+                    count(*) FILTER (WHERE it."done" IS NOT NULL) AS "done",
+                    count(*) FILTER (WHERE it."failed" IS NOT NULL) AS "failed",
+                    count(*) FILTER (WHERE it."cancelled" IS NOT NULL) AS "cancelled",
+                    EXTRACT(EPOCH FROM $1::timestamptz - min(it."when") FILTER (WHERE it."when" <= $1)) AS "oldestPendingAge",
+                    count(*) FILTER (WHERE it."done" > $1::timestamptz - interval '1 minute') AS "done1m",
+                    count(*) FILTER (WHERE it."done" > $1::timestamptz - interval '5 minutes') AS "done5m",
+                    count(*) FILTER (WHERE it."done" > $1::timestamptz - interval '15 minutes') AS "done15m"
+        FROM        ${this.tables.items} AS it
+        INNER JOIN  ${this.tables.queues} AS qu ON COALESCE(it.origin_queue_id, it.queue_id)=qu.id
+        WHERE       ($2::text IS NULL OR qu.name = $2)
+        GROUP BY    qu.name${byPriority ? ', it."priority"' : ''}`;
+
+    const rowStats = row => {
+        return {
+            pending: parseInt(row.pending, 10),
+            scheduled: parseInt(row.scheduled, 10),
+            inFlight: parseInt(row.inFlight, 10),
+            done: parseInt(row.done, 10),
+            failed: parseInt(row.failed, 10),
+            cancelled: parseInt(row.cancelled, 10),
+            oldestPendingAge: row.oldestPendingAge === null ? null : parseFloat(row.oldestPendingAge),
+            throughput: {
+                '1m': parseInt(row.done1m, 10),
+                '5m': parseInt(row.done5m, 10),
+                '15m': parseInt(row.done15m, 10)
+            }
+        };
+    };
+
+    this.pool.query(statsQuery, [new Date(), queue], (err, result) => {
+        if (err) return done(err);
+
+        const queueStats = _.reduce(result.rows, (accumulator, row) => {
+            if (byPriority) {
+                accumulator[row.queue] = accumulator[row.queue] || {};
+                accumulator[row.queue][row.priority] = rowStats(row);
+            } else {
+                accumulator[row.queue] = rowStats(row);
+            }
+            return accumulator;
+        }, {});
+
+        if (!queue) return done(null, queueStats);
+        if (queueStats[queue] || byPriority) return done(null, queueStats[queue] || {});
+
+        done(null, rowStats({
+            pending: 0,
+            scheduled: 0,
+            inFlight: 0,
+            done: 0,
+            failed: 0,
+            cancelled: 0,
+            oldestPendingAge: null,
+            done1m: 0,
+            done5m: 0,
+            done15m: 0
+        }));
+    });
+};
+
+/**
+ * Queue statistics in the Prometheus text exposition format
+ *
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.prometheusMetrics = function prometheusMetrics(done) {
+    this.stats((err, queueStats) => {
+        if (err) return done(err);
+        done(null, metrics.toPrometheus(queueStats));
+    });
+};
+
+/**
+ * Create or replace a recurring schedule
+ *
+ * On every slot of the cron expression an event with the schedule name is published
+ * to opt.queue, see tickSchedules. Replacing a schedule restarts it from the next slot.
+ *
+ * @param {String} name Schedule and event name
+ * @param {String} cronExpression Cron expression, e.g. '0 9 * * 1-5'
+ * @param {Object} opt Options: queue, payload, timezone (IANA name) and catchUp (default true)
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.schedule = function schedule(name, cronExpression, opt, done) {
+    if (typeof opt === 'function') {
+        done = opt;
+        opt = {};
+    }
+
+    debug('schedule', {name: name, cron: cronExpression, opt: opt});
+    if (!opt.queue) return done(utils.createError('scheduleQueueRequired'));
+
+    const timezone = opt.timezone || null;
+    let next;
+    try {
+        next = cron.nextSlot(cronExpression, timezone, new Date());
+    } catch (err) {
+        return done(err);
+    }
+
+    const upsertQuery = `
+        INSERT INTO ${this.tables.schedules}
+                    ("name", "cron", "timezone", "queue_id", "payload", "catch_up", "next", "created")
+        VALUES      ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT ("name") DO UPDATE
+        SET         "cron" = EXCLUDED."cron",
+                    "timezone" = EXCLUDED."timezone",
+                    "queue_id" = EXCLUDED."queue_id",
+                    "payload" = EXCLUDED."payload",
+                    "catch_up" = EXCLUDED."catch_up",
+                    "next" = EXCLUDED."next"`;
+
+    this.getOrInsertIdValue('queue', opt.queue, (err, queueId) => {
+        if (err) return done(err);
+
+        const values = [
+            name,
+            cronExpression,
+            timezone,
+            queueId,
+            opt.payload ? JSON.stringify(opt.payload) : null,
+            opt.catchUp !== false,
+            next,
+            new Date()
+        ];
+        this.pool.query(upsertQuery, values, err => done(err || null));
+    });
+};
+
+/**
+ * Remove a schedule, items that were already published are kept
+ *
+ * @param {String} name
+ * @param {function} done Callback
+ */
+DbWrkrPostgreSQL.prototype.unschedule = function unschedule(name, done) {
+    debug('unschedule', {name: name});
+
+    const deleteQuery = `DELETE FROM ${this.tables.schedules} WHERE "name" = $1`;
+    this.pool.query(deleteQuery, [name], err => done(err || null));
+};
+
+/**
+ * List all schedules
+ *
+ * @param {function} done Callback, with name, cron, timezone, queue, payload, catchUp, next and created
+ */
+DbWrkrPostgreSQL.prototype.listSchedules = function listSchedules(done) {
+    const listQuery = `
+        SELECT      sc.*, qu."name" AS "queue"
+        FROM        ${this.tables.schedules} AS sc
+        INNER JOIN  ${this.tables.queues} AS qu ON sc.queue_id=qu.id
+        ORDER BY    sc."name"`;
+
+    this.pool.query(listQuery, (err, result) => {
+        if (err) return done(err);
+
+        done(null, _.map(result.rows, row => {
+            return {
+                name: row.name,
+                cron: row.cron,
+                timezone: row.timezone || undefined,
+                queue: row.queue,
+                payload: row.payload || undefined,
+                catchUp: row.catch_up,
+                next: row.next,
+                created: row.created
+            };
+        }));
+    });
+};
+
+/**
+ * Publish the due slots of all schedules
+ *
+ * Safe to run from many processes: a transaction level advisory lock lets one tick run at
+ * a time, the others return right away. The items and the next slot of a schedule are
+ * stored in the same transaction, so every slot is published exactly once.
+ *
+ * Slots missed during downtime are caught up, at most scheduleCatchUpLimit per schedule
+ * per tick. Schedules with catchUp false only publish the latest missed slot.
+ *
+ * @param {function} done Callback, with the number of published items
+ */
+DbWrkrPostgreSQL.prototype.tickSchedules = function tickSchedules(done) {
+    const lockQuery = 'SELECT pg_try_advisory_xact_lock(hashtext($1)) AS "locked"';
+    const dueQuery = `
+        SELECT      sc.*, qu."name" AS "queue"
+        FROM        ${this.tables.schedules} AS sc
+        INNER JOIN  ${this.tables.queues} AS qu ON sc.queue_id=qu.id
+        WHERE       sc."next" <= $1
+        ORDER BY    sc."next"
+        FOR UPDATE OF sc`;
+    const updateQuery = `UPDATE ${this.tables.schedules} SET "next" = $2 WHERE "id" = $1`;
+
+    this.withTransaction((client, cb) => {
+        client.query(lockQuery, [this.tables.schedules], (err, result) => {
+            if (err) return cb(err);
+            if (!result.rows[0].locked) return cb(null, 0);
+
+            const now = new Date();
+            client.query(dueQuery, [now], (err, result) => {
+                if (err) return cb(err);
+
+                async.mapSeries(result.rows, (row, rowCb) => {
+                    let due;
+                    try {
+                        if (row.catch_up) {
+                            due = cron.dueSlots(row.cron, row.timezone, row.next, now, this.scheduleCatchUpLimit);
+                        } else {
+                            due = {
+                                slots: [cron.latestSlot(row.cron, row.timezone, now)],
+                                next: cron.nextSlot(row.cron, row.timezone, now)
+                            };
+                        }
+                    } catch (err) {
+                        return rowCb(err);
+                    }
+
+                    const events = _.map(due.slots, slot => {
+                        const key = `schedule:${row.name}:${slot.toISOString()}`;
+                        return {
+                            name: row.name,
+                            queue: row.queue,
+                            tid: key,
+                            payload: row.payload,
+                            when: slot,
+                            created: now,
+                            retryCount: 0,
+                            dedupeKey: key
+                        };
+                    });
+                    debug('tickSchedules', {name: row.name, slots: due.slots.length, next: due.next});
+
+                    this.insertEvents(events, client, err => {
+                        if (err) return rowCb(err);
+                        client.query(updateQuery, [row.id, due.next], err => rowCb(err || null, events.length));
+                    });
+                }, (err, counts) => {
+                    if (err) return cb(err);
+                    cb(null, _.sum(counts));
+                });
+            });
+        });
+    }, done);
+};
+
+// Every public method returns a Promise when it is called without callback
+_.each([
+    'connect',
+    'disconnect',
+    'subscribe',
+    'unsubscribe',
+    'subscriptions',
+    'listQueues',
+    'listEvents',
+    'listSubscriptions',
+    'deleteQueue',
+    'renameQueue',
+    'removeOrphans',
+    'publish',
+    'fetchNext',
+    'fetchMany',
+    'setQueueLimits',
+    'getQueueLimits',
+    'ack',
+    'nack',
+    'extendLease',
+    'reclaimExpired',
+    'listDeadLetters',
+    'getDeadLetter',
+    'requeueDeadLetters',
+    'purgeDeadLetters',
+    'children',
+    'lineage',
+    'tree',
+    'waitForNext',
+    'find',
+    'remove',
+    'cancel',
+    'reschedule',
+    'replay',
+    'exportData',
+    'importData',
+    'applyRetention',
+    'stats',
+    'prometheusMetrics',
+    'schedule',
+    'unschedule',
+    'listSchedules',
+    'tickSchedules'
+], method => {
+    DbWrkrPostgreSQL.prototype[method] = utils.promisify(DbWrkrPostgreSQL.prototype[method]);
+});
+
+// fn is a function as well, so promisify would take it for the callback
+const withTransactionCallback = DbWrkrPostgreSQL.prototype.withTransaction;
+DbWrkrPostgreSQL.prototype.withTransaction = function withTransaction(fn, done) {
+    if (arguments.length >= 2) return withTransactionCallback.call(this, fn, done);
+
+    return new Promise((resolve, reject) => {
+        withTransactionCallback.call(this, fn, (err, result) => {
+            if (err) return reject(err);
+            resolve(result);
+        });
+    });
+};
+
+// Render statistics from stats() for a Prometheus scraper
+DbWrkrPostgreSQL.toPrometheus = metrics.toPrometheus;
+
 module.exports = DbWrkrPostgreSQL;
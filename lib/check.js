@@ -3,22 +3,31 @@
 // Modules
 const _ = require('lodash');
 const async = require('async');
+const debug = require('debug')('dbwrkr:postgresql');
+
+// Libraries
+const migrations = require('./migrations');
+const setup = require('./setup');
+const utils = require('./utils');
 
 /**
- * Check if database and tables exist, if not create
- * 
- * @param {Object} pool 
- * @param {Object} options 
- * @param {Function} done Callback
+ * Check if database exists, if not create, then bring the tables up to date
+ *
+ * @param {Object} pool
+ * @param {Object} options
+ * @param {Object} tables Table names, see utils.tableNames
+ * @param {Object} setupOptions partitionBy: create a new items table partitioned by created
+ * @param {Function} done Callback, with the partition period of the items table (null when not partitioned)
  */
-function checkDatabaseAndTables(pool, options, done) {
+function checkDatabaseAndTables(pool, options, tables, setupOptions, done) {
     async.series([
         _.partial(database, pool, options),
-        _.partial(events, pool, options),
-        _.partial(queues, pool, options),
-        _.partial(subscriptions, pool, options),
-        _.partial(items, pool, options)
-    ], done);
+        _.partial(migrate, pool, tables, setupOptions),
+        _.partial(setup.partitioning, pool, tables)
+    ], (err, results) => {
+        if (err) return done(err);
+        done(null, results[2]);
+    });
 }
 
 /**
@@ -34,7 +43,7 @@ function database(pool, options, done) {
 
         // Error code '3D000' missing db
         if (err && err.code && err.code === '3D000') {
-            return require('./setup').createDatabase(options, done);
+            return setup.createDatabase(options, done);
         }
 
         done(null);
@@ -42,67 +51,87 @@ function database(pool, options, done) {
 }
 
 /**
- * Check if 'wrkr_events' exist
- * 
- * @param {Object} pool 
- * @param {Object} options 
+ * Run all pending migrations
+ * An advisory lock serializes concurrent connect() calls, the first one migrates
+ * while the others wait and then find nothing left to do. The lock is per schema and table prefix.
+ *
+ * @param {Object} pool
+ * @param {Object} tables Table names, see utils.tableNames
+ * @param {Object} setupOptions See checkDatabaseAndTables
  * @param {Function} done Callback
  */
-function events(pool, options, done) {
-    pool.query('SELECT * FROM "wrkr_events"', _.partial(checkHandler, 'wrkr_events', pool, options, done));
-}
+function migrate(pool, tables, setupOptions, done) {
+    pool.connect((err, client, release) => {
+        if (err) return done(err);
 
-/**
- * Check if 'wrkr_queues' exists
- * 
- * @param {Object} pool 
- * @param {Object} options 
- * @param {Function} done Callback
- */
-function queues(pool, options, done) {
-    pool.query('SELECT * FROM "wrkr_queues"', _.partial(checkHandler, 'wrkr_queues', pool, options, done));
-}
+        const lockKey = tables.schemaVersion;
+        let locked = false;
 
-/**
- * Check if 'wrkr_subscriptions' exists
- * 
- * @param {Object} pool 
- * @param {Object} options 
- * @param {Function} done Callback
- */
-function subscriptions(pool, options, done) {
-    pool.query('SELECT * FROM "wrkr_subscriptions"', _.partial(checkHandler, 'wrkr_subscriptions', pool, options, done));
-}
+        async.series([
+            cb => client.query('SELECT pg_advisory_lock(hashtext($1))', [lockKey], err => {
+                locked = !err;
+                cb(err);
+            }),
+            cb => client.query(`CREATE SCHEMA IF NOT EXISTS ${utils.quoteIdentifier(tables.schema)}`, cb),
+            cb => {
+                if (!setupOptions.partitionBy) return cb(null);
+                setup.createPartitionedItems(client, tables, setupOptions.partitionBy, cb);
+            },
+            cb => client.query(`
+                CREATE TABLE IF NOT EXISTS ${tables.schemaVersion} (
+                    "version"       integer PRIMARY KEY,
+                    "description"   text,
+                    "applied"       timestamptz NOT NULL DEFAULT now()
+                )`, cb),
+            cb => client.query(`SELECT max("version") AS "version" FROM ${tables.schemaVersion}`, (err, result) => {
+                if (err) return cb(err);
 
-/**
- * Check if 'wrkr_items' exists
- * 
- * @param {Object} pool 
- * @param {Object} options 
- * @param {Function} done Callback
- */
-function items(pool, options, done) {
-    pool.query('SELECT * FROM "wrkr_items"', _.partial(checkHandler, 'wrkr_items', pool, options, done));
+                const current = result.rows[0].version || 0;
+                const pending = _.filter(migrations, migration => migration.version > current);
+                debug('Schema version', {current: current, pending: _.map(pending, 'version')});
+
+                async.eachSeries(pending, _.partial(runMigration, client, tables), cb);
+            })
+        ], err => {
+            if (!locked) {
+                release(err);
+                return done(err);
+            }
+
+            client.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey], unlockErr => {
+                release(unlockErr);
+                done(err || unlockErr || null);
+            });
+        });
+    });
 }
 
 /**
- * Handle check callback for errors, if does not exist create
- * 
- * @param {String} tableName 
- * @param {Object} pool 
- * @param {Object} options 
+ * Run a single migration in a transaction and record its version
+ *
+ * @param {Object} client Connected client holding the migration lock
+ * @param {Object} tables Table names, see utils.tableNames
+ * @param {Object} migration
  * @param {Function} done Callback
- * @param {Object} err 
  */
-function checkHandler(tableName, pool, options, done, err) {
-    if (err && (!err.code || err.code !== '42P01')) return done(err);
+function runMigration(client, tables, migration, done) {
+    debug('Migrate', {version: migration.version, description: migration.description});
 
-    // Error code '42703' missing table
-    if (err && err.code && err.code === '42P01') {
-        return require('./setup').createTable(tableName, pool, options, done);
-    }
+    const statements = [].concat(
+        ['BEGIN'],
+        migration.up(tables),
+        [{
+            text: `INSERT INTO ${tables.schemaVersion} ("version", "description") VALUES ($1, $2)`,
+            values: [migration.version, migration.description]
+        }],
+        ['COMMIT']
+    );
 
-    return done(null);
+    async.eachSeries(statements, (statement, cb) => client.query(statement, err => cb(err)), err => {
+        if (!err) return done(null);
+
+        client.query('ROLLBACK', () => done(err));
+    });
 }
 
-module.exports = checkDatabaseAndTables;
\ No newline at end of file
+module.exports = checkDatabaseAndTables;
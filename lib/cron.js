@@ -0,0 +1,80 @@
+'use strict';
+
+// Modules
+const parser = require('cron-parser');
+
+// Libraries
+const utils = require('./utils');
+
+/**
+ * Create an iterator over the slots of a cron expression, starting at currentDate
+ *
+ * @param {String} expression Cron expression, e.g. '0 9 * * 1-5'
+ * @param {String} timezone IANA timezone name, null for the process timezone
+ * @param {Date} currentDate
+ * @return {Object} cron-parser iterator
+ */
+function slotIterator(expression, timezone, currentDate) {
+    const options = {currentDate: currentDate};
+    if (timezone) options.tz = timezone;
+
+    return parser.parseExpression(expression, options);
+}
+
+/**
+ * Get the first slot after a date
+ *
+ * @param {String} expression
+ * @param {String} timezone
+ * @param {Date} after
+ * @return {Date}
+ * @throws {Error} invalidCronExpression
+ */
+function nextSlot(expression, timezone, after) {
+    try {
+        return slotIterator(expression, timezone, after).next().toDate();
+    } catch (err) {
+        throw utils.createError('invalidCronExpression');
+    }
+}
+
+/**
+ * Get the latest slot at or before a date
+ *
+ * @param {String} expression
+ * @param {String} timezone
+ * @param {Date} until
+ * @return {Date}
+ */
+function latestSlot(expression, timezone, until) {
+    return slotIterator(expression, timezone, new Date(until.getTime() + 1)).prev().toDate();
+}
+
+/**
+ * Get the due slots from first up to until, at most max of them
+ *
+ * @param {String} expression
+ * @param {String} timezone
+ * @param {Date} first First due slot
+ * @param {Date} until
+ * @param {Integer} max
+ * @return {Object} slots: due slots, next: the slot after them
+ */
+function dueSlots(expression, timezone, first, until, max) {
+    const iterator = slotIterator(expression, timezone, first);
+    const slots = [first];
+
+    let next = iterator.next().toDate();
+    while (next <= until && slots.length < max) {
+        slots.push(next);
+        next = iterator.next().toDate();
+    }
+
+    return {slots: slots, next: next};
+}
+
+module.exports = {
+    nextSlot: nextSlot,
+    latestSlot: latestSlot,
+    dueSlots: dueSlots
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+// Modules
+const debug = require('debug')('dbwrkr:postgresql');
+const Client = require('pg').Client;
+const _ = require('lodash');
+
+// Libraries
+const utils = require('./utils');
+
+/**
+ * Listener Constructor
+ * Keeps a single dedicated connection open for LISTEN, pooled connections cannot be used
+ * because notifications are only delivered to the session that issued the LISTEN.
+ *
+ * @param {Object} pgOptions Connection options, same as the pool
+ */
+function Listener(pgOptions) {
+    this.pgOptions = pgOptions;
+    this.client = null;
+    this.connectCallbacks = null;
+    this.handlers = {};
+}
+
+/**
+ * Add a handler for a channel, LISTEN is issued for the first handler on a channel
+ *
+ * @param {String} channel Channel name
+ * @param {Function} handler Called with (err, payload) for every notification
+ * @param {Function} done Callback, called when the LISTEN is active
+ */
+Listener.prototype.add = function add(channel, handler, done) {
+    this.ensureConnected(err => {
+        if (err) return done(err);
+
+        if (this.handlers[channel]) {
+            this.handlers[channel].push(handler);
+            return done(null);
+        }
+
+        this.handlers[channel] = [handler];
+        debug('Listen', {channel: channel});
+        this.client.query(`LISTEN ${utils.quoteIdentifier(channel)}`, err => {
+            if (err) {
+                this.handlers[channel] = _.without(this.handlers[channel], handler);
+                return done(err);
+            }
+            done(null);
+        });
+    });
+};
+
+/**
+ * Remove a handler, UNLISTEN is issued when the last handler on a channel is removed
+ *
+ * @param {String} channel Channel name
+ * @param {Function} handler Handler as passed to add()
+ */
+Listener.prototype.remove = function remove(channel, handler) {
+    if (!this.handlers[channel]) return;
+
+    this.handlers[channel] = _.without(this.handlers[channel], handler);
+    if (this.handlers[channel].length > 0) return;
+
+    delete this.handlers[channel];
+    if (!this.client) return;
+
+    debug('Unlisten', {channel: channel});
+    this.client.query(`UNLISTEN ${utils.quoteIdentifier(channel)}`, err => {
+        if (err) debug('Unlisten failed', {channel: channel, err: err});
+    });
+};
+
+/**
+ * Connect the dedicated client if not connected (or connecting) yet
+ *
+ * @param {Function} done Callback
+ */
+Listener.prototype.ensureConnected = function ensureConnected(done) {
+    if (this.client && !this.connectCallbacks) return done(null);
+
+    if (this.connectCallbacks) {
+        this.connectCallbacks.push(done);
+        return;
+    }
+
+    this.connectCallbacks = [done];
+    this.client = new Client(this.pgOptions);
+
+    this.client.on('notification', msg => {
+        debug('Notification', {channel: msg.channel, payload: msg.payload});
+        _.each(_.clone(this.handlers[msg.channel]), handler => handler(null, msg.payload));
+    });
+    this.client.on('error', err => this.fail(err));
+    this.client.on('end', () => this.fail(utils.createError('listenerConnectionEnded')));
+
+    this.client.connect(err => {
+        const callbacks = this.connectCallbacks;
+        this.connectCallbacks = null;
+
+        if (err) {
+            this.client = null;
+        }
+        _.each(callbacks, cb => cb(err || null));
+    });
+};
+
+/**
+ * Drop the connection after an error and inform all handlers, next add() reconnects
+ *
+ * @param {Error} err
+ */
+Listener.prototype.fail = function fail(err) {
+    if (!this.client) return;
+    debug('Listener connection lost', err);
+
+    const handlers = _.flatten(_.values(this.handlers));
+    this.client = null;
+    this.handlers = {};
+    _.each(handlers, handler => handler(err));
+};
+
+/**
+ * Close the dedicated connection, registered handlers are dropped silently
+ *
+ * @param {Function} done Callback
+ */
+Listener.prototype.end = function end(done) {
+    const client = this.client;
+
+    this.client = null;
+    this.handlers = {};
+    if (!client) return done(null);
+
+    client.removeAllListeners('end');
+    client.end(done);
+};
+
+module.exports = Listener;
@@ -0,0 +1,62 @@
+'use strict';
+
+// Modules
+const _ = require('lodash');
+
+// Item states reported per queue
+const states = ['pending', 'scheduled', 'inFlight', 'done', 'failed', 'cancelled'];
+
+// Throughput windows reported per queue
+const windows = ['1m', '5m', '15m'];
+
+/**
+ * Render queue statistics in the Prometheus text exposition format
+ * Missing counters render as 0, every queue has a line for every state and window.
+ *
+ * @param {Object} stats Statistics per queue name, as returned by stats()
+ * @param {String} prefix Metric name prefix, defaults to 'dbwrkr'
+ * @return {String}
+ */
+function toPrometheus(stats, prefix) {
+    const name = metric => `${prefix || 'dbwrkr'}_${metric}`;
+    const lines = [];
+
+    lines.push(`# HELP ${name('items')} Number of items per queue and state.`);
+    lines.push(`# TYPE ${name('items')} gauge`);
+    _.each(stats, (queueStats, queue) => {
+        _.each(states, state => {
+            lines.push(`${name('items')}{queue="${escapeLabel(queue)}",state="${state}"} ${queueStats[state] || 0}`);
+        });
+    });
+
+    lines.push(`# HELP ${name('oldest_pending_age_seconds')} Seconds the oldest pending item has been due.`);
+    lines.push(`# TYPE ${name('oldest_pending_age_seconds')} gauge`);
+    _.each(stats, (queueStats, queue) => {
+        lines.push(`${name('oldest_pending_age_seconds')}{queue="${escapeLabel(queue)}"} ${queueStats.oldestPendingAge || 0}`);
+    });
+
+    lines.push(`# HELP ${name('items_done_recent')} Number of items done within the recent window.`);
+    lines.push(`# TYPE ${name('items_done_recent')} gauge`);
+    _.each(stats, (queueStats, queue) => {
+        _.each(windows, window => {
+            const count = _.get(queueStats, ['throughput', window]) || 0;
+            lines.push(`${name('items_done_recent')}{queue="${escapeLabel(queue)}",window="${window}"} ${count}`);
+        });
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape a label value
+ *
+ * @param {String} value
+ * @return {String}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+module.exports = {
+    toPrometheus: toPrometheus
+};
@@ -0,0 +1,336 @@
+'use strict';
+
+// Modules
+const _ = require('lodash');
+
+// Libraries
+const utils = require('./utils');
+
+/**
+ * Statements that merge rows of a names table (events or queues) with the same name
+ * into the one with the lowest id, so a unique index can be created on the name
+ *
+ * @param {String} names Names table
+ * @param {Array} references [table, column] pairs that refer to the names table
+ * @param {Array} keyed [table, column, otherColumn] pairs where the column is part of a unique key
+ * @return {Array} Statements
+ */
+function mergeDuplicateNames(names, references, keyed) {
+    const duplicates = `(
+        SELECT  "id", min("id") OVER (PARTITION BY "name") AS "keep"
+        FROM    ${names}
+    )`;
+
+    const dropConflicting = _.map(keyed, key => `
+        DELETE FROM ${key[0]} AS re
+        USING       ${duplicates} AS du
+        WHERE       re."${key[1]}" = du."id"
+        AND         du."id" <> du."keep"
+        AND         EXISTS (
+            SELECT      1
+            FROM        ${key[0]} AS other
+            INNER JOIN  ${duplicates} AS od ON other."${key[1]}" = od."id"
+            WHERE       od."keep" = du."keep"
+            AND         other."${key[1]}" < re."${key[1]}"
+            ${key[2] ? `AND other."${key[2]}" = re."${key[2]}"` : ''}
+        )`);
+
+    const repoint = _.map(references.concat(keyed), reference => `
+        UPDATE  ${reference[0]} AS re
+        SET     "${reference[1]}" = du."keep"
+        FROM    ${duplicates} AS du
+        WHERE   re."${reference[1]}" = du."id"
+        AND     du."id" <> du."keep"`);
+
+    return [].concat(dropConflicting, repoint, [`
+        DELETE FROM ${names} AS na
+        USING       ${duplicates} AS du
+        WHERE       na."id" = du."id"
+        AND         du."id" <> du."keep"`]);
+}
+
+/**
+ * Ordered schema migrations
+ *
+ * Every migration runs once, in its own transaction, and is recorded in "wrkr_schema_version".
+ * Statements use IF NOT EXISTS so databases created before versioning existed are upgraded
+ * in place: the baseline is skipped for tables that are already there and later migrations
+ * only add what is missing.
+ *
+ * Every up() receives the table names for the configured schema and table prefix, see utils.tableNames.
+ * Never change a released migration, add a new one with the next version number.
+ * Columns added to the items table must be added to the items archive as well (from version 15).
+ */
+module.exports = [
+    {
+        version: 1,
+        description: 'baseline',
+        up: t => [
+            `CREATE TABLE IF NOT EXISTS ${t.events} (
+                "id" SERIAL PRIMARY KEY,
+                "name" text NOT NULL
+            )`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('events_name_index')} ON ${t.events} ("name")`,
+            `CREATE TABLE IF NOT EXISTS ${t.queues} (
+                "id" SERIAL PRIMARY KEY,
+                "name" text NOT NULL
+            )`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('queues_name_index')} ON ${t.queues} ("name")`,
+            `CREATE TABLE IF NOT EXISTS ${t.subscriptions} (
+                "event_id" integer NOT NULL REFERENCES ${t.events}("id"),
+                "queue_id" integer NOT NULL REFERENCES ${t.queues}("id"),
+                PRIMARY KEY ("event_id", "queue_id")
+            )`,
+            `CREATE TABLE IF NOT EXISTS ${t.items} (
+                "id"            serial primary key,
+                "event_id"      integer,
+                "queue_id"      integer,
+                "tid"           text,
+                "payload"       jsonb,
+                "parent"        integer,
+                "created"       timestamptz,
+                "when"          timestamptz,
+                "done"          timestamptz,
+                "retryCount"    integer
+            )`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_name_index')} ON ${t.items} ("event_id")`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_queue_index')} ON ${t.items} ("queue_id")`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_when_index')} ON ${t.items} ("when") WHERE NOT "when" IS NULL`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_done_index')} ON ${t.items} ("done") WHERE NOT "done" IS NULL`
+        ]
+    },
+    {
+        version: 2,
+        description: 'fetch index for FIFO claims',
+        up: t => [
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_fetch_index')} ON ${t.items}
+                ("queue_id", "when", "created", "id") WHERE NOT "when" IS NULL`
+        ]
+    },
+    {
+        version: 3,
+        description: 'leases',
+        up: t => [
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "locked_until" timestamptz`,
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "locked_by" text`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_lease_index')} ON ${t.items}
+                ("locked_until") WHERE NOT "locked_until" IS NULL`
+        ]
+    },
+    {
+        version: 4,
+        description: 'dead-letter queues',
+        up: t => [
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "failed" timestamptz`,
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "origin_queue_id" integer`,
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "error" text`,
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "history" jsonb`
+        ]
+    },
+    {
+        version: 5,
+        description: 'subscriptions queue index',
+        up: t => [
+            `CREATE INDEX IF NOT EXISTS ${t.index('subscriptions_queue_index')} ON ${t.subscriptions} ("queue_id")`
+        ]
+    },
+    {
+        version: 6,
+        description: 'drop unprefixed legacy indexes',
+        up: t => _.map(['when_index', 'done_index'], legacyIndex => `
+            DO $$
+            BEGIN
+                IF EXISTS (
+                    SELECT  1
+                    FROM    pg_indexes
+                    WHERE   schemaname = ${utils.quoteLiteral(t.schema)}
+                    AND     tablename = ${utils.quoteLiteral(t.prefix + 'items')}
+                    AND     indexname = ${utils.quoteLiteral(legacyIndex)}
+                ) THEN
+                    DROP INDEX ${utils.quoteIdentifier(t.schema)}.${utils.quoteIdentifier(legacyIndex)};
+                END IF;
+            END $$`)
+    },
+    {
+        version: 7,
+        description: 'deduplication keys',
+        up: t => [
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "dedupe_key" text`,
+            // A partitioned items table already has a plain index, it cannot have a unique one
+            `DO $$
+            BEGIN
+                IF to_regclass(${utils.quoteLiteral(`${utils.quoteIdentifier(t.schema)}.${t.index('items_dedupe_index')}`)}) IS NULL THEN
+                    CREATE UNIQUE INDEX ${t.index('items_dedupe_index')} ON ${t.items}
+                        ("queue_id", "dedupe_key") WHERE NOT "dedupe_key" IS NULL;
+                END IF;
+            END $$`
+        ]
+    },
+    {
+        version: 8,
+        description: 'priorities',
+        up: t => [
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "priority" integer NOT NULL DEFAULT 0`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_priority_fetch_index')} ON ${t.items}
+                ("queue_id", "priority" DESC, "when", "created", "id") WHERE NOT "when" IS NULL`,
+            `DROP INDEX IF EXISTS ${utils.quoteIdentifier(t.schema)}.${t.index('items_fetch_index')}`
+        ]
+    },
+    {
+        version: 9,
+        description: 'ordered groups',
+        up: t => [
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "group_key" text`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_group_index')} ON ${t.items}
+                ("queue_id", "group_key", "created", "id") WHERE NOT "group_key" IS NULL AND "done" IS NULL`
+        ]
+    },
+    {
+        version: 10,
+        description: 'queue limits',
+        up: t => [
+            `CREATE TABLE IF NOT EXISTS ${t.queueLimits} (
+                "queue_id"          integer PRIMARY KEY REFERENCES ${t.queues}("id"),
+                "max_in_flight"     integer,
+                "rate_per_minute"   integer
+            )`,
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "claimed" timestamptz`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_claimed_index')} ON ${t.items}
+                ("queue_id", "claimed") WHERE NOT "claimed" IS NULL`
+        ]
+    },
+    {
+        version: 11,
+        description: 'schedules',
+        up: t => [
+            `CREATE TABLE IF NOT EXISTS ${t.schedules} (
+                "id"            serial primary key,
+                "name"          text NOT NULL UNIQUE,
+                "cron"          text NOT NULL,
+                "timezone"      text,
+                "queue_id"      integer NOT NULL REFERENCES ${t.queues}("id"),
+                "payload"       jsonb,
+                "catch_up"      boolean NOT NULL DEFAULT true,
+                "next"          timestamptz NOT NULL,
+                "created"       timestamptz
+            )`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('schedules_next_index')} ON ${t.schedules} ("next")`
+        ]
+    },
+    {
+        version: 12,
+        description: 'cancelled items',
+        up: t => [
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "cancelled" timestamptz`
+        ]
+    },
+    {
+        version: 13,
+        description: 'parent and child workflows',
+        up: t => [
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "on_children_done" jsonb`,
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "children_done" timestamptz`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_parent_index')} ON ${t.items} ("parent") WHERE NOT "parent" IS NULL`
+        ]
+    },
+    {
+        version: 14,
+        description: 'results and error stacks',
+        up: t => [
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "result" jsonb`,
+            `ALTER TABLE ${t.items} ADD COLUMN IF NOT EXISTS "error_stack" text`
+        ]
+    },
+    {
+        version: 15,
+        description: 'items archive',
+        up: t => [
+            `CREATE TABLE IF NOT EXISTS ${t.itemsArchive} (LIKE ${t.items})`,
+            `ALTER TABLE ${t.itemsArchive} ADD COLUMN IF NOT EXISTS "archived" timestamptz`,
+            `CREATE INDEX IF NOT EXISTS ${t.index('items_archive_queue_index')} ON ${t.itemsArchive} ("queue_id", "done")`
+        ]
+    },
+    {
+        version: 16,
+        description: 'unique event and queue names',
+        up: t => [].concat(
+            mergeDuplicateNames(t.events, [
+                [t.items, 'event_id'],
+                [t.itemsArchive, 'event_id']
+            ], [
+                [t.subscriptions, 'event_id', 'queue_id']
+            ]),
+            mergeDuplicateNames(t.queues, [
+                [t.items, 'queue_id'],
+                [t.items, 'origin_queue_id'],
+                [t.itemsArchive, 'queue_id'],
+                [t.itemsArchive, 'origin_queue_id'],
+                [t.schedules, 'queue_id']
+            ], [
+                [t.subscriptions, 'queue_id', 'event_id'],
+                [t.queueLimits, 'queue_id']
+            ]),
+            [
+                `CREATE UNIQUE INDEX IF NOT EXISTS ${t.index('events_name_unique_index')} ON ${t.events} ("name")`,
+                `CREATE UNIQUE INDEX IF NOT EXISTS ${t.index('queues_name_unique_index')} ON ${t.queues} ("name")`,
+                `DROP INDEX IF EXISTS ${utils.quoteIdentifier(t.schema)}.${t.index('events_name_index')}`,
+                `DROP INDEX IF EXISTS ${utils.quoteIdentifier(t.schema)}.${t.index('queues_name_index')}`
+            ]
+        )
+    },
+    {
+        version: 17,
+        description: 'notify name changes',
+        up: t => {
+            const notifyFunction = `${utils.quoteIdentifier(t.schema)}.${t.index('notify_name_change')}`;
+            return [
+                `CREATE OR REPLACE FUNCTION ${notifyFunction}() RETURNS trigger AS $$
+                BEGIN
+                    -- The get or insert upsert rewrites a name with itself, that is no change
+                    IF TG_OP = 'UPDATE' AND OLD."name" = NEW."name" THEN
+                        RETURN NULL;
+                    END IF;
+                    PERFORM pg_notify(
+                        ${utils.quoteLiteral(t.channel('names'))},
+                        json_build_object('type', TG_ARGV[0], 'id', OLD."id", 'name', OLD."name")::text
+                    );
+                    RETURN NULL;
+                END
+                $$ LANGUAGE plpgsql`,
+                `DROP TRIGGER IF EXISTS ${t.index('events_notify_trigger')} ON ${t.events}`,
+                `CREATE TRIGGER ${t.index('events_notify_trigger')} AFTER UPDATE OR DELETE ON ${t.events}
+                    FOR EACH ROW EXECUTE PROCEDURE ${notifyFunction}('event')`,
+                `DROP TRIGGER IF EXISTS ${t.index('queues_notify_trigger')} ON ${t.queues}`,
+                `CREATE TRIGGER ${t.index('queues_notify_trigger')} AFTER UPDATE OR DELETE ON ${t.queues}
+                    FOR EACH ROW EXECUTE PROCEDURE ${notifyFunction}('queue')`
+            ];
+        }
+    },
+    {
+        version: 18,
+        description: 'items reference their queue and event',
+        up: t => _.map([
+            ['queue_id', 'items_queue_fkey', t.queues],
+            ['origin_queue_id', 'items_origin_queue_fkey', t.queues],
+            ['event_id', 'items_event_fkey', t.events]
+        ], fk => `
+            DO $$
+            BEGIN
+                IF NOT EXISTS (
+                    SELECT  1
+                    FROM    pg_constraint
+                    WHERE   conrelid = to_regclass(${utils.quoteLiteral(t.items)})
+                    AND     conname = ${utils.quoteLiteral(t.prefix + fk[1])}
+                ) THEN
+                    IF (SELECT relkind FROM pg_class WHERE oid = to_regclass(${utils.quoteLiteral(t.items)})) = 'p' THEN
+                        ALTER TABLE ${t.items} ADD CONSTRAINT ${t.index(fk[1])}
+                            FOREIGN KEY ("${fk[0]}") REFERENCES ${fk[2]} ("id");
+                    ELSE
+                        -- Existing items are not checked, they may refer to names deleted before
+                        ALTER TABLE ${t.items} ADD CONSTRAINT ${t.index(fk[1])}
+                            FOREIGN KEY ("${fk[0]}") REFERENCES ${fk[2]} ("id") NOT VALID;
+                    END IF;
+                END IF;
+            END $$`)
+    }
+];
@@ -0,0 +1,124 @@
+'use strict';
+
+// Modules
+const StringDecoder = require('string_decoder').StringDecoder;
+const _ = require('lodash');
+
+/**
+ * Write objects as newline delimited JSON, waits for 'drain' when the stream buffer is full
+ * An 'error' of the stream while writing is passed to done, a failed stream never drains.
+ *
+ * @param {Object} writable Writable stream
+ * @param {Array} objects
+ * @param {Function} done Callback
+ */
+function write(writable, objects, done) {
+    if (objects.length === 0) return done(null);
+
+    let finished = false;
+    const finish = err => {
+        if (finished) return;
+        finished = true;
+        writable.removeListener('error', finish);
+        writable.removeListener('drain', finish);
+        done(err || null);
+    };
+
+    writable.once('error', finish);
+    const text = _.map(objects, object => `${JSON.stringify(object)}\n`).join('');
+    if (writable.write(text)) return setImmediate(finish, null);
+
+    writable.once('drain', finish);
+}
+
+/**
+ * Read newline delimited JSON in chunks
+ * The stream is paused while a chunk is handled, so at most one chunk is in memory.
+ *
+ * @param {Object} readable Readable stream
+ * @param {Integer} chunkSize Number of objects per chunk
+ * @param {Function} handler Called with (objects, callback) for every chunk
+ * @param {Function} done Callback, called when all chunks are handled
+ */
+function read(readable, chunkSize, handler, done) {
+    const decoder = new StringDecoder('utf8');
+    let remainder = '';
+    let objects = [];
+    let flushing = false;
+    let ended = false;
+    let finished = false;
+
+    const finish = err => {
+        if (finished) return;
+        finished = true;
+        readable.removeListener('data', onData);
+        readable.removeListener('end', onEnd);
+
+        // Stop reading after a failure, the handler must not be called again
+        if (err) {
+            if (typeof readable.destroy === 'function') readable.destroy();
+            else readable.pause();
+        }
+        done(err || null);
+    };
+
+    const parse = lines => {
+        _.each(lines, line => {
+            if (line.trim()) objects.push(JSON.parse(line));
+        });
+    };
+
+    const flush = (all, cb) => {
+        if (objects.length === 0 || (!all && objects.length < chunkSize)) return cb(null);
+
+        const chunk = all ? objects : objects.slice(0, chunkSize);
+        objects = all ? [] : objects.slice(chunkSize);
+        handler(chunk, err => {
+            if (err) return cb(err);
+            flush(all, cb);
+        });
+    };
+
+    function onData(data) {
+        const lines = (remainder + (_.isString(data) ? data : decoder.write(data))).split('\n');
+        remainder = lines.pop();
+
+        try {
+            parse(lines);
+        } catch (err) {
+            return finish(err);
+        }
+        if (objects.length < chunkSize) return;
+
+        readable.pause();
+        flushing = true;
+        flush(false, err => {
+            flushing = false;
+            if (err) return finish(err);
+            if (ended) return onEnd();
+            if (!finished) readable.resume();
+        });
+    }
+
+    // 'end' can still be emitted while a chunk is handled, the last chunk waits for it
+    function onEnd() {
+        ended = true;
+        if (finished || flushing) return;
+
+        try {
+            parse([remainder + decoder.end()]);
+        } catch (err) {
+            return finish(err);
+        }
+        flush(true, finish);
+    }
+
+    readable.on('data', onData);
+    readable.once('error', finish);
+    readable.once('end', onEnd);
+}
+
+module.exports = {
+    write: write,
+    read: read
+};
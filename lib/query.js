@@ -0,0 +1,314 @@
+'use strict';
+
+// Modules
+const _ = require('lodash');
+
+// Libraries
+const utils = require('./utils');
+
+// Item fields that can be used in criteria, mapped to their column
+// retryCount is stored as NULL until the first retry, items report it as 0
+const columns = {
+    id: '"id"',
+    tid: '"tid"',
+    parent: '"parent"',
+    payload: '"payload"',
+    created: '"created"',
+    when: '"when"',
+    done: '"done"',
+    retryCount: 'COALESCE("retryCount", 0)',
+    lockedUntil: '"locked_until"',
+    lockedBy: '"locked_by"',
+    failed: '"failed"',
+    error: '"error"',
+    errorStack: '"error_stack"',
+    result: '"result"',
+    dedupeKey: '"dedupe_key"',
+    priority: '"priority"',
+    groupKey: '"group_key"',
+    claimed: '"claimed"',
+    cancelled: '"cancelled"',
+    event_id: '"event_id"',
+    queue_id: '"queue_id"'
+};
+
+// JSONB item fields, matched by containment or by path ('payload.customer.id')
+const jsonFields = ['payload', 'result'];
+
+// Item fields that can be used to sort and page
+const sortable = ['id', 'tid', 'created', 'when', 'done', 'retryCount', 'failed', 'cancelled', 'priority'];
+
+const comparisons = {
+    $lt: '<',
+    $lte: '<=',
+    $gt: '>',
+    $gte: '>='
+};
+
+/**
+ * Create a WHERE clause and values array based on a criteria object
+ *
+ * Criteria are item fields, multiple fields are combined with AND. A field value is either
+ * matched for equality (null matches NULL, an array matches any of its values) or is an
+ * operator object: $eq, $ne, $in, $nin, $lt, $lte, $gt, $gte and $exists.
+ *
+ * name and queue match the event and queue names. payload and result match JSONB containment
+ * for a plain object, or take $contains and $hasKey. Keys like 'payload.customer.id' match
+ * the value at that path, numbers are compared numerically (values that are not JSON numbers
+ * do not match then).
+ *
+ *   {queue: 'mail', when: {$lt: new Date()}, 'payload.priority': {$gte: 5}}
+ *
+ * @param {Object} criteria
+ * @param {Integer} counter Starting point for placeholder numbering
+ * @param {Object} tables Table names, see utils.tableNames
+ * @return {Object} Object containing text, values and next counter value for placeholder numbering
+ */
+function createWhereSQL(criteria, counter, tables) {
+    const params = createParams(counter);
+    const conditions = _.map(criteria, (value, field) => fieldCondition(field, value, params, tables));
+
+    return {
+        text: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        values: params.values,
+        counter: params.counter
+    };
+}
+
+/**
+ * Create ORDER BY, keyset (after) and LIMIT/OFFSET clauses for find options
+ *
+ * sort is a field name ('created', '-created' for descending), an array of those or an
+ * object ({created: 1, id: -1}). The id is always added as the final tie breaker.
+ * after is the last item of the previous page, only items after it (in sort order) are returned.
+ * NULL sorts after all values, so last in ascending and first in descending order.
+ *
+ * @param {Object} opt Options: sort, after, limit, offset
+ * @param {Integer} counter Starting point for placeholder numbering
+ * @return {Object} Object containing after (condition text), order, page, values and counter
+ */
+function createPageSQL(opt, counter) {
+    const params = createParams(counter);
+    const keys = sortKeys(opt.sort);
+
+    let after = '';
+    if (opt.after) {
+        const afterValue = field => _.isUndefined(opt.after[field]) ? null : opt.after[field];
+
+        after = _.compact(_.map(keys, (key, index) => {
+            // In ascending order nothing comes after NULL
+            if (key.direction === 'ASC' && afterValue(key.field) === null) return null;
+
+            const equal = _.map(keys.slice(0, index), previous => {
+                return `${columns[previous.field]} IS NOT DISTINCT FROM ${params.add(afterValue(previous.field))}`;
+            });
+            const next = afterCondition(key, afterValue(key.field), params);
+            return `(${equal.concat([next]).join(' AND ')})`;
+        })).join(' OR ');
+        after = after ? `(${after})` : 'FALSE';
+    }
+
+    const order = `ORDER BY ${_.map(keys, key => {
+        return `${columns[key.field]} ${key.direction} ${key.direction === 'DESC' ? 'NULLS FIRST' : 'NULLS LAST'}`;
+    }).join(', ')}`;
+
+    let page = '';
+    if (_.isNumber(opt.limit)) page += ` LIMIT ${params.add(opt.limit)}`;
+    if (_.isNumber(opt.offset)) page += ` OFFSET ${params.add(opt.offset)}`;
+
+    return {after: after, order: order, page: page, values: params.values, counter: params.counter};
+}
+
+/**
+ * Create the condition for the values of a sort key that come after value
+ *
+ * @param {Object} key {field, direction}
+ * @param {*} value Value of the last item, not NULL for ascending keys
+ * @param {Object} params
+ * @return {String} SQL condition
+ */
+function afterCondition(key, value, params) {
+    const column = columns[key.field];
+
+    if (key.direction === 'DESC') {
+        return value === null ? `${column} IS NOT NULL` : `${column} < ${params.add(value)}`;
+    }
+    return `(${column} > ${params.add(value)} OR ${column} IS NULL)`;
+}
+
+/**
+ * Normalize the sort option to a list of {field, direction}
+ *
+ * @param {*} sort
+ * @return {Array}
+ */
+function sortKeys(sort) {
+    let keys = [];
+
+    if (_.isString(sort) || _.isArray(sort)) {
+        keys = _.map([].concat(sort), field => {
+            const descending = field[0] === '-';
+            return {field: descending ? field.slice(1) : field, direction: descending ? 'DESC' : 'ASC'};
+        });
+    } else if (_.isPlainObject(sort)) {
+        keys = _.map(sort, (direction, field) => {
+            return {field: field, direction: direction < 0 ? 'DESC' : 'ASC'};
+        });
+    }
+
+    _.each(keys, key => {
+        if (sortable.indexOf(key.field) === -1) throw utils.createError('invalidSortField');
+    });
+
+    if (!_.find(keys, {field: 'id'})) {
+        keys.push({field: 'id', direction: 'ASC'});
+    }
+
+    return keys;
+}
+
+/**
+ * Create the condition for a single criteria field
+ *
+ * @param {String} field
+ * @param {*} value Value or operator object
+ * @param {Object} params
+ * @param {Object} tables
+ * @return {String} SQL condition
+ */
+function fieldCondition(field, value, params, tables) {
+    if (field === 'name' || field === 'queue') {
+        const column = field === 'name' ? '"event_id"' : '"queue_id"';
+        const table = field === 'name' ? tables.events : tables.queues;
+        return `${column} IN (SELECT "id" FROM ${table} WHERE ${valueCondition('"name"', value, params)})`;
+    }
+
+    if (jsonFields.indexOf(field) !== -1 && !isOperatorObject(value)) {
+        return `${columns[field]} @> ${params.add(JSON.stringify(value))}::jsonb`;
+    }
+
+    const pathField = field.split('.')[0];
+    if (jsonFields.indexOf(pathField) !== -1 && field !== pathField) {
+        const path = params.add(field.split('.').slice(1));
+        const text = `(${columns[pathField]} #>> ${path}::text[])`;
+        if (!_.some(operands(value), _.isNumber)) return valueCondition(text, stringifyOperands(value), params);
+
+        // CASE makes sure only JSON numbers are cast, other values compare as NULL
+        const numeric = `(CASE WHEN jsonb_typeof(${columns[pathField]} #> ${path}::text[]) = 'number' THEN ${text}::numeric END)`;
+        return valueCondition(numeric, value, params);
+    }
+
+    if (!columns[field]) throw utils.createError('invalidCriteriaField');
+
+    return valueCondition(columns[field], value, params);
+}
+
+/**
+ * Create the condition for an expression and a value or operator object
+ *
+ * @param {String} expression Column or expression
+ * @param {*} value
+ * @param {Object} params
+ * @return {String} SQL condition
+ */
+function valueCondition(expression, value, params) {
+    if (!isOperatorObject(value)) {
+        return operatorCondition(expression, _.isArray(value) ? '$in' : '$eq', value, params);
+    }
+
+    const conditions = _.map(value, (operand, operator) => operatorCondition(expression, operator, operand, params));
+    return conditions.length > 1 ? `(${conditions.join(' AND ')})` : conditions[0];
+}
+
+/**
+ * Create the condition for a single operator
+ *
+ * @param {String} expression Column or expression
+ * @param {String} operator
+ * @param {*} operand
+ * @param {Object} params
+ * @return {String} SQL condition
+ */
+function operatorCondition(expression, operator, operand, params) {
+    if (comparisons[operator]) {
+        return `${expression} ${comparisons[operator]} ${params.add(operand)}`;
+    }
+
+    switch (operator) {
+    case '$eq':
+        return operand === null ? `${expression} IS NULL` : `${expression} = ${params.add(operand)}`;
+    case '$ne':
+        return `${expression} IS DISTINCT FROM ${params.add(operand)}`;
+    case '$in':
+        return `${expression} = ANY(${params.add(operand)})`;
+    case '$nin':
+        return `NOT (${expression} = ANY(${params.add(operand)}))`;
+    case '$exists':
+        return operand ? `${expression} IS NOT NULL` : `${expression} IS NULL`;
+    case '$contains':
+        return `${expression} @> ${params.add(JSON.stringify(operand))}::jsonb`;
+    case '$hasKey':
+        return `${expression} ? ${params.add(operand)}`;
+    default:
+        throw utils.createError('invalidCriteriaOperator');
+    }
+}
+
+/**
+ * Check if a value is an operator object like {$gt: 1}
+ *
+ * @param {*} value
+ * @return {Boolean}
+ */
+function isOperatorObject(value) {
+    const keys = _.isPlainObject(value) ? Object.keys(value) : [];
+    return keys.length > 0 && _.every(keys, key => key[0] === '$');
+}
+
+/**
+ * Get all operand values of a value or operator object
+ *
+ * @param {*} value
+ * @return {Array}
+ */
+function operands(value) {
+    return _.flatten(isOperatorObject(value) ? _.values(value) : [value]);
+}
+
+/**
+ * Convert boolean operands to strings, payload path values are compared as text
+ *
+ * @param {*} value
+ * @return {*}
+ */
+function stringifyOperands(value) {
+    const stringify = operand => {
+        if (_.isArray(operand)) return _.map(operand, stringify);
+        return _.isBoolean(operand) ? String(operand) : operand;
+    };
+
+    if (!isOperatorObject(value)) return stringify(value);
+    return _.mapValues(value, (operand, operator) => operator === '$exists' ? operand : stringify(operand));
+}
+
+/**
+ * Placeholder numbering and values for a query part
+ *
+ * @param {Integer} counter Starting point for placeholder numbering
+ * @return {Object}
+ */
+function createParams(counter) {
+    return {
+        values: [],
+        counter: counter,
+        add: function add(value) {
+            this.values.push(value);
+            return `$${this.counter++}`;
+        }
+    };
+}
+
+module.exports = {
+    createWhereSQL: createWhereSQL,
+    createPageSQL: createPageSQL
+};
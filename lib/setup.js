@@ -1,187 +1,312 @@
 'use strict';
 
 //Modules
+const assert = require('assert');
 const debug = require('debug')('dbwrkr:postgresql');
 const Client = require('pg').Client;
+const _ = require('lodash');
 const async = require('async');
 
+// Libraries
+const utils = require('./utils');
+
+// Length of a partition in days, months are handled separately
+const partitionDays = {
+    day: 1,
+    week: 7
+};
+
 /**
+ * Create database based on options.database
  * 
- * @param {*} tableName 
- * @param {*} pool 
- * @param {*} options 
- * @param {*} done 
+ * @param {Object} options 
+ * @param {Function} done 
  */
-function createTable(tableName, pool, options, done) {
-    const createTableByTableName = {
-        'wrkr_events': createEventsTable,
-        'wrkr_queues': createQueueTable,
-        'wrkr_subscriptions': createSubscriptionsTable,
-        'wrkr_items': createItemsTable,
-    };
-
-    return createTableByTableName[tableName](pool, options, done);
+function createDatabase(options, done) {
+    debug('Create database', {database: options.database});
+
+    const tmpClient = new Client({
+        host: options.host,
+        port:  options.port,
+        user: options.user,
+        password: options.password,
+        database: 'postgres' // Should always be there, what about cockroach?
+    });
+
+    tmpClient.connect().then(() => {
+        tmpClient.query(`CREATE DATABASE ${options.database}`, err => {
+            if (err) return done(err);
+            tmpClient.end(done);
+        });
+    }).catch(done);
 }
 
 /**
- * Create events table
- * 
- * events:
- *   event_id   Integer  
- *   queue_id   Integer
- * 
- * @param {Object} pool Pool reference
- * @param {Object} options Options object
- * @param {Function} done callback function
+ * Create the items table range partitioned by "created", when it does not exist yet
+ * An existing table is left as it is, it cannot be converted in place.
+ *
+ * The primary key has to include the partition key, and so would a unique index. The
+ * deduplication index is therefore created here without uniqueness, under the name the
+ * migrations use, see insertEvents for how duplicates are skipped on partitioned tables.
+ * The period is kept in the table comment, so every process maintains the same partitions.
+ * Requires PostgreSQL 11+, older servers fail with partitioningNotSupported.
+ *
+ * @param {Object} client Connected client
+ * @param {Object} tables Table names, see utils.tableNames
+ * @param {String} partitionBy 'day', 'week' or 'month'
+ * @param {Function} done Callback
  */
-function createEventsTable(pool, options, done) {
-    debug('Create table', {table: 'wrkr_events'});
+function createPartitionedItems(client, tables, partitionBy, done) {
+    client.query('SELECT to_regclass($1) AS "table"', [tables.items], (err, result) => {
+        if (err) return done(err);
+        if (result.rows[0].table) {
+            debug('Items table exists, not partitioned', {table: tables.items});
+            return done(null);
+        }
 
-    const query = `
-        CREATE TABLE "public"."wrkr_events" (
-            "id" SERIAL PRIMARY KEY,
-            "name"text NOT NULL
-        ); 
-        CREATE INDEX "wrkr_events_name_index" on "public"."wrkr_events" ("name");`;
+        client.query('SELECT current_setting(\'server_version_num\')::integer AS "version"', (err, result) => {
+            if (err) return done(err);
+            if (result.rows[0].version < 110000) return done(utils.createError('partitioningNotSupported'));
 
-    pool.query(query, done);
+            debug('Create partitioned items table', {table: tables.items});
+            runStatements(client, [
+                `CREATE TABLE ${tables.items} (
+                    "id"            serial,
+                    "event_id"      integer,
+                    "queue_id"      integer,
+                    "tid"           text,
+                    "payload"       jsonb,
+                    "parent"        integer,
+                    "created"       timestamptz NOT NULL,
+                    "when"          timestamptz,
+                    "done"          timestamptz,
+                    "retryCount"    integer,
+                    "dedupe_key"    text,
+                    PRIMARY KEY ("id", "created")
+                ) PARTITION BY RANGE ("created")`,
+                `CREATE INDEX ${tables.index('items_dedupe_index')} ON ${tables.items}
+                    ("queue_id", "dedupe_key") WHERE NOT "dedupe_key" IS NULL`,
+                `COMMENT ON TABLE ${tables.items} IS ${utils.quoteLiteral(`partitioned by ${partitionBy}`)}`,
+                `CREATE TABLE ${tables.partition('default')} PARTITION OF ${tables.items} DEFAULT`
+            ], done);
+        });
+    });
 }
 
 /**
- * Create queues table
- * 
- * queues:
- *   id         Integer  Primary 
- *   name       Text (String)
- * 
- * @param {Object} pool Pool reference
- * @param {Object} options Options object
- * @param {Function} done callback function
+ * Get the partition period of the items table, as stored by createPartitionedItems
+ *
+ * @param {Object} db Pool or client
+ * @param {Object} tables Table names, see utils.tableNames
+ * @param {Function} done Callback, with 'day', 'week' or 'month', null for a table that is not partitioned
  */
-function createQueueTable(pool, options, done) {
-    debug('Create table', {table: 'wrkr_queues'});
+function partitioning(db, tables, done) {
+    const partitionedQuery = `
+        SELECT  "relkind" = 'p' AS "partitioned", obj_description("oid", 'pg_class') AS "comment"
+        FROM    pg_class
+        WHERE   "oid" = to_regclass($1)`;
 
-    const query = `
-        CREATE TABLE "public"."wrkr_queues" (
-            "id" SERIAL PRIMARY KEY,
-            "name" text NOT NULL
-        );`;
+    db.query(partitionedQuery, [tables.items], (err, result) => {
+        if (err) return done(err);
+        if (result.rowCount === 0 || !result.rows[0].partitioned) return done(null, null);
 
-    const indexQuery = 'CREATE INDEX "wrkr_queues_name_index" on "public"."wrkr_queues" ("name");';
+        const match = /^partitioned by (day|week|month)$/.exec(result.rows[0].comment || '');
+        done(null, match ? match[1] : 'month');
+    });
+}
 
-    async.series([
-        cb => pool.query(query, cb),
-        cb => pool.query(indexQuery, cb)
-    ], done);
+/**
+ * Create the partitions for the current period and the next premake periods
+ *
+ * @param {Object} pool
+ * @param {Object} tables Table names, see utils.tableNames
+ * @param {String} partitionBy 'day', 'week' or 'month'
+ * @param {Integer} premake Number of future partitions
+ * @param {Function} done Callback
+ */
+function ensurePartitions(pool, tables, partitionBy, premake, done) {
+    const periods = _.map(_.range(premake + 1), offset => partitionPeriod(partitionBy, new Date(), offset));
+
+    withLockedClient(pool, tables, (client, cb) => {
+        async.eachSeries(periods, (period, periodCb) => createPartition(client, tables, period, periodCb), cb);
+    }, done);
 }
 
 /**
- * Create subscriptions table
- * 
- * @TODO create index on queue_id?
- * 
- * subscripions:
- *   event_id   Integer  
- *   queue_id   Integer
- * 
- * @param {Object} pool Pool reference
- * @param {Object} options Options object
- * @param {Function} done callback function
+ * Create the partition of a period when it does not exist yet
+ * Items of the period that were stored in the default partition before, the range of a
+ * partition cannot overlap rows in the default, are moved into the new partition first.
+ * The items table, and with it its partitions, is locked first: inserts lock it before they
+ * pick a partition, so publishing waits until the new partition is attached instead of
+ * deadlocking or routing rows to the default partition.
+ *
+ * @param {Object} client Client holding the partition maintenance lock
+ * @param {Object} tables Table names, see utils.tableNames
+ * @param {Object} period See partitionPeriod
+ * @param {Function} done Callback
  */
-function createSubscriptionsTable(pool, options, done) {
-    debug('Create table', {table: 'wrkr_subscriptions'});
-
-    const query = `
-        CREATE TABLE "public"."wrkr_subscriptions" (
-            "event_id" integer NOT NULL, 
-            "queue_id" integer NOT NULL,
-            PRIMARY KEY ("event_id", "queue_id")
-        );`;
-
-    const alterForeignKeyEventId = `
-        ALTER TABLE "public"."wrkr_subscriptions" 
-        ADD FOREIGN KEY ("event_id") 
-        REFERENCES "public"."wrkr_events"("id");`;
-
-    const alterForeignKeyQueueId = `
-        ALTER TABLE "public"."wrkr_subscriptions" 
-        ADD FOREIGN KEY ("queue_id") 
-        REFERENCES "public"."wrkr_queues"("id");
-        `;
-
-    async.series([
-        cb => pool.query(query, cb),
-        cb => pool.query(alterForeignKeyEventId, cb),
-        cb => pool.query(alterForeignKeyQueueId, cb),
-    ], done);
+function createPartition(client, tables, period, done) {
+    const partition = tables.partition(period.suffix);
+    const from = utils.quoteLiteral(period.from.toISOString());
+    const to = utils.quoteLiteral(period.to.toISOString());
+
+    client.query('SELECT to_regclass($1) AS "table"', [partition], (err, result) => {
+        if (err) return done(err);
+        if (result.rows[0].table) return done(null);
+
+        debug('Create partition', {partition: partition});
+        runStatements(client, [
+            `LOCK TABLE ${tables.items} IN ACCESS EXCLUSIVE MODE`,
+            `CREATE TABLE ${partition} (LIKE ${tables.items} INCLUDING DEFAULTS)`,
+            `WITH "moved" AS (
+                DELETE FROM ${tables.partition('default')}
+                WHERE       "created" >= ${from} AND "created" < ${to}
+                RETURNING   *
+            )
+            INSERT INTO ${partition} SELECT * FROM "moved"`,
+            `ALTER TABLE ${tables.items} ATTACH PARTITION ${partition} FOR VALUES FROM (${from}) TO (${to})`
+        ], done);
+    });
 }
 
 /**
- * Create items table
- * 
- * qitems:
- *  name        String  (indexed)
- *  queue       String  (indexed)
- *  tid         String
- *  payload     Object
- *  parent      _ObjectId
- *  created     Date
- *  when        Date    (partial index)
- *  done        Date    (partial index)
- *  retryCount  Number
- * 
- * @param {Object} pool Pool reference
- * @param {Object} options Options object
- * @param {Function} done callback function
+ * Drop partitions of past periods that are empty, retention moves their items out first
+ * Every partition is locked before it is checked, so no item can be added in between.
+ *
+ * @param {Object} pool
+ * @param {Object} tables Table names, see utils.tableNames
+ * @param {String} partitionBy 'day', 'week' or 'month'
+ * @param {Function} done Callback, with the number of dropped partitions
  */
-function createItemsTable(pool, options, done) {
-    debug('Create table', {table: 'wrkr_items'});
-
-    const query = `
-        CREATE TABLE "public"."wrkr_items" (
-            "id"            serial primary key, 
-            "event_id"      integer, 
-            "queue_id"      integer, 
-            "tid"           text, 
-            "payload"       jsonb, 
-            "parent"        integer, 
-            "created"       timestamptz, 
-            "when"          timestamptz, 
-            "done"          timestamptz,         
-            "retryCount"    integer
-        );
-        CREATE INDEX "wrkr_items_name_index" on "public"."wrkr_items" ("event_id");
-        CREATE INDEX "wrkr_items_queue_index" on "public"."wrkr_items" ("queue_id");
-        CREATE INDEX "when_index" ON "public"."wrkr_items" ("when") WHERE NOT "when" IS NULL;
-        CREATE INDEX "done_index" ON "public"."wrkr_items" ("done") WHERE NOT "done" IS NULL;`;
-
-    pool.query(query, done);
+function dropEmptyPartitions(pool, tables, partitionBy, done) {
+    const partitionsQuery = `
+        SELECT  c."relname"
+        FROM    pg_inherits AS i
+        INNER JOIN pg_class AS c ON c."oid" = i."inhrelid"
+        WHERE   i."inhparent" = to_regclass($1)`;
+    const current = partitionPeriod(partitionBy, new Date(), 0);
+    const pattern = new RegExp(`^${_.escapeRegExp(tables.prefix)}items_p(\\d{6,8})$`);
+
+    pool.query(partitionsQuery, [tables.items], (err, result) => {
+        if (err) return done(err);
+
+        const past = _.filter(_.map(result.rows, 'relname'), name => {
+            const match = pattern.exec(name);
+            return match && match[1] < current.suffix.slice(1);
+        });
+
+        async.filterSeries(past, (name, cb) => {
+            const partition = tables.partition(name.slice(`${tables.prefix}items_`.length));
+
+            withLockedClient(pool, tables, (client, lockedCb) => {
+                let dropped = false;
+
+                async.series([
+                    seriesCb => client.query('BEGIN', seriesCb),
+                    seriesCb => client.query(`LOCK TABLE ${partition} IN ACCESS EXCLUSIVE MODE`, seriesCb),
+                    seriesCb => client.query(`SELECT 1 FROM ${partition} LIMIT 1`, (err, result) => {
+                        if (err || result.rowCount > 0) return seriesCb(err || null);
+
+                        debug('Drop empty partition', {partition: partition});
+                        dropped = true;
+                        client.query(`DROP TABLE ${partition}`, seriesCb);
+                    }),
+                    seriesCb => client.query('COMMIT', seriesCb)
+                ], err => {
+                    if (!err) return lockedCb(null, dropped);
+                    client.query('ROLLBACK', () => lockedCb(err));
+                });
+            }, cb);
+        }, (err, dropped) => {
+            if (err) return done(err);
+            done(null, dropped.length);
+        });
+    });
 }
 
 /**
- * Create database based on options.database
- * 
- * @param {Object} options 
- * @param {Function} done 
+ * Get the range and name suffix of a partition period, in UTC
+ *
+ * @param {String} partitionBy 'day', 'week' or 'month'
+ * @param {Date} date
+ * @param {Integer} offset Number of periods after the one containing date
+ * @return {Object} from, to and suffix ('p20240101', 'p202401' for months)
  */
-function createDatabase(options, done) {
-    const tmpClient = new Client({
-        host: options.host,
-        port:  options.port,
-        user: options.user,
-        password: options.password,
-        database: 'postgres' // Should always be there, what about cockroach?
+function partitionPeriod(partitionBy, date, offset) {
+    const pad = value => _.padStart(String(value), 2, '0');
+    let from;
+    let to;
+
+    if (partitionBy === 'month') {
+        from = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+        to = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1));
+        return {from: from, to: to, suffix: `p${from.getUTCFullYear()}${pad(from.getUTCMonth() + 1)}`};
+    }
+
+    const days = partitionDays[partitionBy];
+    assert(days, 'partitionBy is day, week or month');
+
+    // Weeks start on monday
+    const startOfDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const daysIntoPeriod = partitionBy === 'week' ? (date.getUTCDay() + 6) % 7 : 0;
+    from = new Date(startOfDay + (offset * days - daysIntoPeriod) * 86400000);
+    to = new Date(from.getTime() + days * 86400000);
+
+    const suffix = `p${from.getUTCFullYear()}${pad(from.getUTCMonth() + 1)}${pad(from.getUTCDate())}`;
+    return {from: from, to: to, suffix: suffix};
+}
+
+/**
+ * Run statements in a transaction
+ *
+ * @param {Object} client Connected client
+ * @param {Array} statements
+ * @param {Function} done Callback
+ */
+function runStatements(client, statements, done) {
+    async.eachSeries([].concat(['BEGIN'], statements, ['COMMIT']), (statement, cb) => {
+        client.query(statement, err => cb(err));
+    }, err => {
+        if (!err) return done(null);
+        client.query('ROLLBACK', () => done(err));
     });
+}
 
-    tmpClient.connect().then(() => {
-        tmpClient.query(`CREATE DATABASE ${options.database}`, err => {
-            if (err) return done(err);
-            tmpClient.end(done);
+/**
+ * Run fn with a client that holds the partition maintenance lock of these tables
+ *
+ * @param {Object} pool
+ * @param {Object} tables Table names, see utils.tableNames
+ * @param {Function} fn Called with (client, callback)
+ * @param {Function} done Callback, with the result of fn
+ */
+function withLockedClient(pool, tables, fn, done) {
+    const lockKey = `${tables.items} partitions`;
+
+    pool.connect((err, client, release) => {
+        if (err) return done(err);
+
+        client.query('SELECT pg_advisory_lock(hashtext($1))', [lockKey], err => {
+            if (err) {
+                release(err);
+                return done(err);
+            }
+
+            fn(client, (err, result) => {
+                client.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey], unlockErr => {
+                    release(unlockErr);
+                    done(err || unlockErr || null, result);
+                });
+            });
         });
-    }).catch(done);
+    });
 }
 
 module.exports = {
     createDatabase: createDatabase,
-    createTable: createTable
+    createPartitionedItems: createPartitionedItems,
+    partitioning: partitioning,
+    ensurePartitions: ensurePartitions,
+    dropEmptyPartitions: dropEmptyPartitions,
+    partitionPeriod: partitionPeriod
 };
@@ -5,76 +5,114 @@ const _ = require('lodash');
 const async = require('async');
 
 /**
- * Convert array of events into query object with SQL text and values
- * 
- * @param {Array} events 
- * @return {Object} Object containing query text and values 
+ * Create an Error, the code is also the message so both can be checked
+ *
+ * @param {String} code Error code, e.g. 'noRecordsFound'
+ * @return {Error}
  */
-function convertEventsToQuery(events) {
-    let text = '';
-    let counter = 1;
-    let values = [];
-
-    _.each(events, function (event) {
-        const eventData = convertEventToQuery(event, counter);
-        if (counter !== 1) {
-            text += ', ';
-        }
-
-        text += eventData.text;
-        values = values.concat(eventData.values);
-        counter = eventData.counter;
-    });
+function createError(code) {
+    const err = new Error(code);
+    err.code = code;
+    return err;
+}
 
-    return {text: text, values: values};
+/**
+ * Check if an error was created with the given code
+ *
+ * @param {Error} err
+ * @param {String} code
+ * @return {Boolean}
+ */
+function isError(err, code) {
+    return !!err && err.code === code;
 }
 
 /**
- * Convert an event object to a text and
- * 
- * @param {Object} event Event object
- * @param {Integer} counter Starting point for placeholder numbering 
- * @return {Object} Object containing text, values and next counter value for placholder numbering
+ * Wrap a callback style method so it returns a Promise when called without callback
+ * Trailing undefined arguments are dropped so optional arguments keep working.
+ *
+ * @param {Function} method Method with a (err, result) callback as last argument
+ * @return {Function} Wrapped method
  */
-function convertEventToQuery(event, counter) {
-    const payload = event.payload ? JSON.stringify(event.payload) : null;
-    const created = event.created ? event.created.toISOString() : null;
-    const when = event.when ? event.when.toISOString() : null;
-    const parent = event.parent ? event.parent.toString() : null;
-    const text = `( (SELECT id FROM "wrkr_events" WHERE name=$${counter}), (SELECT id FROM "wrkr_queues" WHERE name=$${counter + 1}), $${counter + 2}, $${counter + 3}, $${counter + 4}, $${counter + 5}, $${counter + 6}, $${counter + 7})`;
-    const values = [event.name, event.queue, event.tid, payload, parent, created, when, event.retryCount];
-
-    return {text: text, values: values, counter: counter + 8};
+function promisify(method) {
+    return function promisified() {
+        const args = _.dropRightWhile(_.toArray(arguments), _.isUndefined);
+
+        if (typeof _.last(args) === 'function') {
+            return method.apply(this, args);
+        }
+
+        return new Promise((resolve, reject) => {
+            method.apply(this, args.concat([(err, result) => {
+                if (err) return reject(err);
+                resolve(result);
+            }]));
+        });
+    };
 }
 
 /**
- * Create a query string, and values array based on criteria object
- * 
- * @param {Object} criteria Criteria as key = column, value
- * @param {Integer} counter Starting point for placeholder numbering 
- * @return {Object} Object containing text, values and next counter value for placholder numbering
+ * Get the deduplication key of an event
+ * dedupeKey is either a string or true to derive the key from the tid and the event name
+ *
+ * @param {Object} event Event object
+ * @return {String} Key, null when the event is not deduplicated (or has no tid to derive it from)
  */
-function createWhereSQL(criteria, counter) {
-    if (Object.keys(criteria).length === 0) {
-        return {query: '', values: [], counter: counter};
+function dedupeKeyFor(event) {
+    if (event.dedupeKey === true) {
+        return event.tid ? `${event.tid}:${event.name}` : null;
     }
 
-    let valueCounter = counter;
-    const values = [];
+    return event.dedupeKey ? String(event.dedupeKey) : null;
+}
 
-    const text = _.reduce(criteria, (accumulator, value, key) => {
-        let sql = accumulator;
-        if (valueCounter !== counter) {
-            sql += ' AND ';
-        }
+/**
+ * Quote an identifier (schema, table, index or column name)
+ *
+ * @param {String} name
+ * @return {String} Quoted identifier
+ */
+function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
 
-        sql += `"${key}" = $${valueCounter}`;
-        values[valueCounter - 1] = value;
-        valueCounter++;
-        return sql;
-    }, 'WHERE ');
+/**
+ * Quote a string literal, only for statements that cannot take parameters (DO blocks, DDL)
+ *
+ * @param {String} value
+ * @return {String} Quoted literal
+ */
+function quoteLiteral(value) {
+    return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
 
-    return {text: text, values: values, counter: valueCounter};
+/**
+ * Build the quoted, schema qualified table names for a schema and table prefix
+ *
+ * @param {String} schema
+ * @param {String} prefix
+ * @return {Object} Table names, index(name) returns a quoted prefixed index name and
+ *                  partition(suffix) the qualified name of an items partition, channel(name)
+ *                  a NOTIFY channel name
+ */
+function tableNames(schema, prefix) {
+    const qualify = name => `${quoteIdentifier(schema)}.${quoteIdentifier(prefix + name)}`;
+
+    return {
+        schema: schema,
+        prefix: prefix,
+        events: qualify('events'),
+        queues: qualify('queues'),
+        subscriptions: qualify('subscriptions'),
+        items: qualify('items'),
+        itemsArchive: qualify('items_archive'),
+        queueLimits: qualify('queue_limits'),
+        schedules: qualify('schedules'),
+        schemaVersion: qualify('schema_version'),
+        index: name => quoteIdentifier(prefix + name),
+        partition: suffix => qualify(`items_${suffix}`),
+        channel: name => `${schema}.${prefix}${name}`
+    };
 }
 
 /**
@@ -93,13 +131,15 @@ function getRelationalValue(relationalType, valueType, value, done) {
 
     // Return the relationalType value from memory object if it exists
     if (this[requestedRelationalType] && this[requestedRelationalType].has(value)) {
+        this.cacheCounters.hits++;
         return done(null, this[requestedRelationalType].get(value));
     }
+    this.cacheCounters.misses++;
 
     // Get the value from the database
-    const getRelationalTable = valueType === 'event' ? 'wrkr_events' :  'wrkr_queues';
+    const getRelationalTable = valueType === 'event' ? this.tables.events : this.tables.queues;
     const getRelationalColumn =  relationalType === 'id' ? 'name' : 'id';
-    const getRelationalValueQuery = `SELECT * FROM "${getRelationalTable}" WHERE "${getRelationalColumn}" = $1 LIMIT 1`;
+    const getRelationalValueQuery = `SELECT * FROM ${getRelationalTable} WHERE "${getRelationalColumn}" = $1 LIMIT 1`;
 
     this.pool.query(getRelationalValueQuery, [value], (err, result) => {
         if (err) return done(err);
@@ -121,7 +161,7 @@ function getRelationalValue(relationalType, valueType, value, done) {
             return done(null, relationalTypeValue);
         }
 
-        done('noRecordsFound');
+        done(createError('noRecordsFound'));
     });
 }
 
@@ -134,14 +174,19 @@ function getRelationalValue(relationalType, valueType, value, done) {
  */
 function getOrInsertIdValue(valueType, value, done) {
     this.getRelationalValue('id', valueType, value, (err, result) => {
-        if (err && err !== 'noRecordsFound') return done(err);
+        if (err && !isError(err, 'noRecordsFound')) return done(err);
 
         if (!err) {
             return done(null, result);
         }
 
-        const getRelationalTable = valueType === 'event' ? 'wrkr_events' :  'wrkr_queues';
-        const insertRelationalValueQuery = `INSERT INTO "${getRelationalTable}" ("name") VALUES ($1) RETURNING *`;
+        const getRelationalTable = valueType === 'event' ? this.tables.events : this.tables.queues;
+        // A concurrent insert of the same name returns the existing row, the name is unique
+        const insertRelationalValueQuery = `
+            INSERT INTO ${getRelationalTable} ("name")
+            VALUES      ($1)
+            ON CONFLICT ("name") DO UPDATE SET "name" = EXCLUDED."name"
+            RETURNING   "id"`;
 
         this.pool.query(insertRelationalValueQuery, [value], (err, result) => {
             if (err) return done(err);
@@ -153,44 +198,139 @@ function getOrInsertIdValue(valueType, value, done) {
 }
 
 /**
- * Map the criteria to relational schema
- * 
- * @param {Object} criteria 
- * @param {Function} done 
+ * Get the ids for a list of string values in bulk, records that do not exist are created
+ *
+ * @param {String} valueType 'event' or 'queue'
+ * @param {Array} values
+ * @param {Function} done Callback with an object of value => id
  */
-function mapCriteria(criteria, done) {
-    const mappedCriteria = Object.assign({}, criteria);
+function getOrInsertIdValues(valueType, values, done) {
+    const memorizedIds = valueType === 'event' ? this.memorizedEventIds : this.memorizedQueueIds;
+    const memorizedNames = valueType === 'event' ? this.memorizedEventNames : this.memorizedQueueNames;
+    const uniqueValues = _.uniq(_.compact(values));
+    const ids = {};
+
+    _.each(uniqueValues, value => {
+        if (memorizedIds.has(value)) ids[value] = memorizedIds.get(value);
+    });
 
-    async.parallel([
-        (cb) => {
-            if (!mappedCriteria.name) {
-                return cb();
-            }
+    const unknownValues = _.filter(uniqueValues, value => !_.has(ids, value));
+    this.cacheCounters.hits += uniqueValues.length - unknownValues.length;
+    if (unknownValues.length === 0) return done(null, ids);
 
-            this.getRelationalValue('id', 'event', criteria.name, (err, eventId) => {
-                if (err) return cb(err);
-                mappedCriteria.event_id = eventId;
-                delete mappedCriteria.name;
-                cb();
-            });
-        },
-        (cb) => {
-            if (!mappedCriteria.queue) {
-                return cb();
-            }
+    const getRelationalTable = valueType === 'event' ? this.tables.events : this.tables.queues;
+    const getRelationalValuesQuery = `SELECT "id", "name" FROM ${getRelationalTable} WHERE "name" = ANY($1::text[])`;
 
-            this.getRelationalValue('id', 'queue', mappedCriteria.queue, (err, queueId) => {
-                if (err) return cb(err);
+    this.pool.query(getRelationalValuesQuery, [unknownValues], (err, result) => {
+        if (err) return done(err);
 
-                mappedCriteria.queue_id = queueId;
-                delete mappedCriteria.queue;
+        _.each(result.rows, row => {
+            memorizedIds.set(row.name, row.id);
+            memorizedNames.set(row.id, row.name);
+            ids[row.name] = row.id;
+        });
+
+        // Missing values are counted as misses by getOrInsertIdValue
+        const missingValues = _.filter(unknownValues, value => !_.has(ids, value));
+        this.cacheCounters.misses += unknownValues.length - missingValues.length;
+        async.eachSeries(missingValues, (value, cb) => {
+            this.getOrInsertIdValue(valueType, value, (err, id) => {
+                if (err) return cb(err);
+                ids[value] = id;
                 cb();
             });
-        }
-    ], err => {
+        }, err => {
+            if (err) return done(err);
+            done(null, ids);
+        });
+    });
+}
+
+/**
+ * Count a failed attempt for an in flight item, reschedule it or move it to the dead-letter queue
+ * when it went past maxRetries. Every attempt is appended to the item history. A dead-lettered
+ * item releases its dedupeKey (kept in the history entry), like a cancelled one.
+ *
+ * @param {String} id Item id
+ * @param {Object} attempt lockedBy: the worker that must hold the lease (expired leases when not set),
+ *                         delay: milliseconds before the item is due again, error: Error or reason
+ * @param {Function} done Callback with the new state ('retry', 'dead' or undefined when the item was not found)
+ */
+function retryOrDeadLetter(id, attempt, done) {
+    const now = new Date();
+    const guardSQL = attempt.lockedBy ? '"locked_by" = $2' : '"locked_until" < $2';
+    const guardValue = attempt.lockedBy || now;
+    const itemQuery = `
+        SELECT  "queue_id", "retryCount"
+        FROM    ${this.tables.items}
+        WHERE   "id" = $1
+        AND     ${guardSQL}
+        AND     "done" IS NULL`;
+
+    this.pool.query(itemQuery, [id, guardValue], (err, result) => {
         if (err) return done(err);
+        if (result.rowCount === 0) return done(null, undefined);
+
+        const item = result.rows[0];
+        const updateItem = deadQueueId => {
+            const reason = attempt.error && attempt.error.message ? attempt.error.message : attempt.error;
+            const stack = attempt.error && attempt.error.stack ? String(attempt.error.stack) : null;
+            const updateQuery = `
+                UPDATE ${this.tables.items}
+                SET    "retryCount" = COALESCE("retryCount", 0) + 1,
+                       "when" = $3,
+                       "failed" = $4,
+                       "queue_id" = COALESCE($5, "queue_id"),
+                       "origin_queue_id" = CASE WHEN $5::integer IS NULL THEN NULL ELSE "queue_id" END,
+                       "error" = $6,
+                       "error_stack" = $8,
+                       "dedupe_key" = CASE WHEN $5::integer IS NULL THEN "dedupe_key" END,
+                       "history" = COALESCE("history", '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                           'attempt', COALESCE("retryCount", 0) + 1,
+                           'error', $6::text,
+                           'stack', $8::text,
+                           'worker', "locked_by",
+                           'at', $7::timestamptz
+                       ) || CASE WHEN $5::integer IS NULL THEN '{}' ELSE jsonb_build_object('dedupeKey', "dedupe_key") END),
+                       "locked_until" = NULL,
+                       "locked_by" = NULL
+                WHERE  "id" = $1
+                AND    ${guardSQL}
+                AND    "done" IS NULL`;
+
+            const values = [
+                id,
+                guardValue,
+                deadQueueId ? null : new Date(now.getTime() + (attempt.delay || 0)),
+                deadQueueId ? now : null,
+                deadQueueId,
+                reason ? String(reason) : null,
+                now,
+                stack
+            ];
+
+            this.pool.query(updateQuery, values, (err, result) => {
+                if (err) return done(err);
+                if (result.rowCount === 0) return done(null, undefined);
+
+                done(null, deadQueueId ? 'dead' : 'retry', item.queue_id);
+            });
+        };
+
+        this.getRelationalValue('name', 'queue', item.queue_id, (err, queueName) => {
+            if (err) return done(err);
 
-        done(null, mappedCriteria);
+            const maxRetries = this.maxRetriesFor(queueName);
+            const dead = _.isNumber(maxRetries) && (item.retryCount || 0) + 1 > maxRetries;
+            if (!dead) {
+                return updateItem(null);
+            }
+
+            this.getOrInsertIdValue('queue', this.deadLetterQueueName(queueName), (err, deadQueueId) => {
+                if (err) return done(err);
+                updateItem(deadQueueId);
+            });
+        });
     });
 }
 
@@ -207,26 +347,84 @@ function fieldMapper(item, done) {
     ], (err, result) => {
         if (err) return done(err);
 
-        done(null, {
-            id: item.id,
-            name: result[0],
-            tid: item.tid ? item.tid : undefined,
-            parent: item.parent ? item.parent : undefined,
-            payload: item.payload,
-            queue: result[1],
-            created: item.created,
-            when: item.when || undefined,
-            done: item.done || undefined,
-            retryCount: item.retryCount || 0,
-        });
+        done(null, mapItem(item, result[0], result[1]));
     });
 }
 
+/**
+ * Map a list of items, every distinct event and queue id is resolved only once
+ *
+ * @param {Array} items
+ * @param {Function} done Callback with the mapped items in the same order
+ */
+function itemsMapper(items, done) {
+    const eventIds = _.uniq(_.map(items, 'event_id'));
+    const queueIds = _.uniq(_.map(items, 'queue_id'));
+
+    async.parallel([
+        cb => async.map(eventIds, this.getRelationalValue('name', 'event'), cb),
+        cb => async.map(queueIds, this.getRelationalValue('name', 'queue'), cb)
+    ], (err, result) => {
+        if (err) return done(err);
+
+        const eventNames = _.zipObject(eventIds, result[0]);
+        const queueNames = _.zipObject(queueIds, result[1]);
+
+        done(null, _.map(items, item => {
+            return mapItem(item, eventNames[item.event_id], queueNames[item.queue_id]);
+        }));
+    });
+}
+
+/**
+ * Map a database row to the item format
+ *
+ * @param {Object} item Database row
+ * @param {String} eventName
+ * @param {String} queueName
+ * @return {Object} Mapped item
+ */
+function mapItem(item, eventName, queueName) {
+    return {
+        id: item.id,
+        name: eventName,
+        tid: item.tid ? item.tid : undefined,
+        parent: item.parent ? item.parent : undefined,
+        payload: item.payload,
+        queue: queueName,
+        created: item.created,
+        when: item.when || undefined,
+        done: item.done || undefined,
+        retryCount: item.retryCount || 0,
+        dedupeKey: item.dedupe_key || undefined,
+        priority: item.priority || 0,
+        groupKey: item.group_key || undefined,
+        claimed: item.claimed || undefined,
+        cancelled: item.cancelled || undefined,
+        onChildrenDone: item.on_children_done || undefined,
+        childrenDone: item.children_done || undefined,
+        lockedUntil: item.locked_until || undefined,
+        lockedBy: item.locked_by || undefined,
+        failed: item.failed || undefined,
+        error: item.error || undefined,
+        errorStack: item.error_stack || undefined,
+        result: _.isNull(item.result) ? undefined : item.result,
+        history: item.history || undefined,
+    };
+}
+
 module.exports = {
-    convertEventsToQuery: convertEventsToQuery,
-    createWhereSQL: createWhereSQL,
+    createError: createError,
+    isError: isError,
+    promisify: promisify,
+    quoteIdentifier: quoteIdentifier,
+    quoteLiteral: quoteLiteral,
+    tableNames: tableNames,
+    dedupeKeyFor: dedupeKeyFor,
     getRelationalValue: getRelationalValue,
     getOrInsertIdValue: getOrInsertIdValue,
-    mapCriteria: mapCriteria,
-    fieldMapper: fieldMapper
+    getOrInsertIdValues: getOrInsertIdValues,
+    retryOrDeadLetter: retryOrDeadLetter,
+    fieldMapper: fieldMapper,
+    itemsMapper: itemsMapper
 };
\ No newline at end of file
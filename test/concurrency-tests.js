@@ -0,0 +1,83 @@
+/* eslint no-console: 0 */
+'use strict';
+
+const assert = require('assert');
+const async = require('async');
+const DBWrkrPostgreSQL = require('../dbwrkr-postgresql');
+
+const queueName = 'concurrencyQueue';
+const itemCount = 200;
+const fetcherCount = 10;
+
+const storage = new DBWrkrPostgreSQL({
+    dbName: 'dbwrkr'
+});
+
+/**
+ * Publish items, then let parallel fetchers drain the queue until it is empty
+ * Every item must be delivered exactly once, in FIFO order per fetcher
+ */
+async.series([
+    cb => storage.connect(cb),
+    cb => storage.subscribe('concurrencyEvent', queueName, cb),
+    cb => storage.remove({queue: queueName}, cb),
+    cb => {
+        const created = Date.now();
+        const events = [];
+        for (let i = 0; i < itemCount; i++) {
+            events.push({
+                name: 'concurrencyEvent',
+                queue: queueName,
+                tid: `${i}`,
+                created: new Date(created + i),
+                when: new Date(created - 1000),
+                retryCount: 0
+            });
+        }
+        storage.publish(events, cb);
+    },
+    cb => {
+        const delivered = [];
+
+        async.times(fetcherCount, (n, next) => {
+            const seen = [];
+            let empty = false;
+
+            async.until(() => empty, untilCb => {
+                storage.fetchNext(queueName, (err, item) => {
+                    if (err) return untilCb(err);
+                    if (!item) {
+                        empty = true;
+                        return untilCb();
+                    }
+
+                    seen.push(parseInt(item.tid, 10));
+                    untilCb();
+                });
+            }, err => {
+                if (err) return next(err);
+
+                // Each fetcher receives its items oldest first
+                assert.deepEqual(seen, seen.slice().sort((a, b) => a - b), 'fetcher received items in order');
+                delivered.push.apply(delivered, seen);
+                next();
+            });
+        }, err => {
+            if (err) return cb(err);
+
+            assert.equal(delivered.length, itemCount, 'all items delivered');
+            assert.equal(new Set(delivered).size, itemCount, 'no item delivered twice');
+            cb();
+        });
+    },
+    cb => storage.remove({queue: queueName}, cb),
+    cb => storage.unsubscribe('concurrencyEvent', queueName, cb)
+], err => {
+    storage.disconnect(() => {
+        if (err) {
+            console.error('concurrency tests failed', err);
+            process.exit(1);
+        }
+        console.log('concurrency tests passed');
+    });
+});
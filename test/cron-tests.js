@@ -0,0 +1,44 @@
+/* eslint no-console: 0 */
+const assert = require('assert');
+const cron = require('../lib/cron');
+
+/**
+ * Cron slots, no database needed
+ */
+const at = text => new Date(text);
+
+// Next slot is strictly after the date
+assert.equal(cron.nextSlot('*/15 * * * *', 'UTC', at('2020-01-01T10:07:00Z')).toISOString(), '2020-01-01T10:15:00.000Z');
+assert.equal(cron.nextSlot('*/15 * * * *', 'UTC', at('2020-01-01T10:15:00Z')).toISOString(), '2020-01-01T10:30:00.000Z');
+
+// Invalid expressions
+assert.throws(() => cron.nextSlot('not a cron', 'UTC', new Date()), err => err.message === 'invalidCronExpression');
+assert.throws(() => cron.nextSlot('61 * * * *', 'UTC', new Date()), err => err.message === 'invalidCronExpression');
+
+// Latest slot is at or before the date
+assert.equal(cron.latestSlot('0 * * * *', 'UTC', at('2020-01-01T10:00:00Z')).toISOString(), '2020-01-01T10:00:00.000Z');
+assert.equal(cron.latestSlot('0 * * * *', 'UTC', at('2020-01-01T10:59:59Z')).toISOString(), '2020-01-01T10:00:00.000Z');
+
+// Timezones, 09:00 in Amsterdam is 08:00 UTC in winter and 07:00 UTC in summer
+assert.equal(cron.nextSlot('0 9 * * *', 'Europe/Amsterdam', at('2020-01-01T00:00:00Z')).toISOString(), '2020-01-01T08:00:00.000Z');
+assert.equal(cron.nextSlot('0 9 * * *', 'Europe/Amsterdam', at('2020-07-01T00:00:00Z')).toISOString(), '2020-07-01T07:00:00.000Z');
+assert.equal(cron.latestSlot('0 9 * * *', 'America/New_York', at('2020-01-01T13:59:00Z')).toISOString(), '2019-12-31T14:00:00.000Z');
+
+// Due slots include first and stop at until
+const due = cron.dueSlots('0 * * * *', 'UTC', at('2020-01-01T10:00:00Z'), at('2020-01-01T12:30:00Z'), 10);
+assert.deepEqual(due.slots.map(slot => slot.toISOString()),
+    ['2020-01-01T10:00:00.000Z', '2020-01-01T11:00:00.000Z', '2020-01-01T12:00:00.000Z']);
+assert.equal(due.next.toISOString(), '2020-01-01T13:00:00.000Z');
+
+// Catch up is limited to max slots, next is the first slot left over
+const limited = cron.dueSlots('0 * * * *', 'UTC', at('2020-01-01T00:00:00Z'), at('2020-01-02T00:00:00Z'), 3);
+assert.equal(limited.slots.length, 3);
+assert.equal(limited.slots[2].toISOString(), '2020-01-01T02:00:00.000Z');
+assert.equal(limited.next.toISOString(), '2020-01-01T03:00:00.000Z');
+
+// Only the first slot when the next one is not due yet
+const single = cron.dueSlots('0 * * * *', 'UTC', at('2020-01-01T10:00:00Z'), at('2020-01-01T10:00:00Z'), 10);
+assert.equal(single.slots.length, 1);
+assert.equal(single.next.toISOString(), '2020-01-01T11:00:00.000Z');
+
+console.log('cron tests passed');
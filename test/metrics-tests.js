@@ -0,0 +1,52 @@
+/* eslint no-console: 0 */
+const assert = require('assert');
+const metrics = require('../lib/metrics');
+
+/**
+ * Prometheus rendering, no database needed
+ */
+const queueStats = {
+    pending: 1,
+    scheduled: 2,
+    inFlight: 3,
+    done: 4,
+    failed: 5,
+    cancelled: 6,
+    oldestPendingAge: 7.5,
+    throughput: {'1m': 8, '5m': 9}
+};
+
+const text = metrics.toPrometheus({mail: queueStats});
+const lines = text.split('\n');
+
+assert.equal(text[text.length - 1], '\n', 'ends with a newline');
+assert.equal(lines[0], '# HELP dbwrkr_items Number of items per queue and state.');
+assert.equal(lines[1], '# TYPE dbwrkr_items gauge');
+assert.equal(lines[2], 'dbwrkr_items{queue="mail",state="pending"} 1');
+assert.equal(lines[7], 'dbwrkr_items{queue="mail",state="cancelled"} 6');
+assert.ok(lines.indexOf('dbwrkr_oldest_pending_age_seconds{queue="mail"} 7.5') !== -1);
+assert.ok(lines.indexOf('dbwrkr_items_done_recent{queue="mail",window="5m"} 9') !== -1);
+assert.ok(lines.indexOf('dbwrkr_items_done_recent{queue="mail",window="15m"} 0') !== -1, 'missing window renders as 0');
+
+// Prefix
+assert.ok(metrics.toPrometheus({mail: queueStats}, 'jobs').indexOf('jobs_items{queue="mail",state="done"} 4') !== -1);
+
+// Missing counters and age render as 0
+const idle = metrics.toPrometheus({idle: {pending: 0, throughput: {}}});
+const idleLines = idle.split('\n');
+assert.equal(idle.indexOf('undefined'), -1, 'no undefined values');
+assert.ok(idleLines.indexOf('dbwrkr_items{queue="idle",state="pending"} 0') !== -1);
+assert.ok(idleLines.indexOf('dbwrkr_items{queue="idle",state="scheduled"} 0') !== -1);
+assert.ok(idleLines.indexOf('dbwrkr_oldest_pending_age_seconds{queue="idle"} 0') !== -1);
+assert.ok(idleLines.indexOf('dbwrkr_items_done_recent{queue="idle",window="1m"} 0') !== -1);
+assert.ok(idleLines.filter(line => line && line[0] !== '#').every(line => /} 0$/.test(line)), 'every value is 0');
+
+// Label values escape backslashes, quotes and newlines
+const escaped = metrics.toPrometheus({'a\\b"c\nd': queueStats});
+assert.ok(escaped.indexOf('dbwrkr_items{queue="a\\\\b\\"c\\nd",state="pending"} 1') !== -1);
+assert.equal(escaped.split('\n').length, lines.length, 'a newline in a label does not break a line');
+
+// No queues, only the help and type lines
+assert.equal(metrics.toPrometheus({}).split('\n').length, 7);
+
+console.log('metrics tests passed');
@@ -0,0 +1,169 @@
+/* eslint no-console: 0 */
+'use strict';
+
+const assert = require('assert');
+const stream = require('stream');
+const async = require('async');
+const ndjson = require('../lib/ndjson');
+
+/**
+ * Newline delimited JSON streams, no database needed
+ */
+const readableOf = chunks => {
+    const readable = new stream.Readable({read: () => {}});
+    chunks.forEach(chunk => readable.push(chunk));
+    readable.push(null);
+    return readable;
+};
+
+async.series([
+    function chunking(next) {
+        const objects = [1, 2, 3, 4, 5, 6, 7].map(n => ({n: n}));
+        const text = objects.map(object => JSON.stringify(object)).join('\n');
+        // Split inside lines and inside a multi-byte character
+        const bytes = Buffer.from(`${text}\n{"s":"é"}\n\n`);
+        const readable = readableOf([bytes.slice(0, 5), bytes.slice(5, 40), bytes.slice(40, bytes.length - 5), bytes.slice(bytes.length - 5)]);
+
+        const chunks = [];
+        let handling = false;
+        ndjson.read(readable, 3, (chunk, cb) => {
+            assert.ok(!handling, 'chunks are handled one at a time');
+            handling = true;
+            chunks.push(chunk);
+            setTimeout(() => {
+                handling = false;
+                cb(null);
+            }, 5);
+        }, err => {
+            assert.ifError(err);
+            assert.deepEqual(chunks.map(chunk => chunk.length), [3, 3, 2]);
+            assert.deepEqual(chunks[2], [{n: 7}, {s: 'é'}]);
+            next();
+        });
+    },
+
+    function lastLineWithoutNewline(next) {
+        const chunks = [];
+        ndjson.read(readableOf(['{"a":1}\n{"a":2}']), 10, (chunk, cb) => {
+            chunks.push(chunk);
+            cb(null);
+        }, err => {
+            assert.ifError(err);
+            assert.deepEqual(chunks, [[{a: 1}, {a: 2}]]);
+            next();
+        });
+    },
+
+    function emptyStream(next) {
+        let called = false;
+        ndjson.read(readableOf([]), 10, (chunk, cb) => {
+            called = true;
+            cb(null);
+        }, err => {
+            assert.ifError(err);
+            assert.ok(!called, 'handler is not called without objects');
+            next();
+        });
+    },
+
+    function parseError(next) {
+        const chunks = [];
+        const lines = '{"a":1}\n{"a":2}\nnot json\n{"a":3}\n{"a":4}\n';
+        ndjson.read(readableOf([lines]), 1, (chunk, cb) => {
+            chunks.push(chunk);
+            cb(null);
+        }, err => {
+            assert.ok(err instanceof SyntaxError);
+            assert.equal(chunks.length, 0, 'no chunk is handled from a line batch that fails to parse');
+            next();
+        });
+    },
+
+    function handlerError(next) {
+        let calls = 0;
+        let finished = 0;
+        ndjson.read(readableOf(['{"a":1}\n{"a":2}\n', '{"a":3}\n{"a":4}\n']), 1, (chunk, cb) => {
+            calls++;
+            setImmediate(cb, new Error('handlerFailed'));
+        }, err => {
+            finished++;
+            assert.equal(err.message, 'handlerFailed');
+            // Give the stream a chance to emit more data or end
+            setTimeout(() => {
+                assert.equal(calls, 1, 'the handler is not called after it failed');
+                assert.equal(finished, 1, 'done is called once');
+                next();
+            }, 20);
+        });
+    },
+
+    function streamError(next) {
+        const readable = new stream.Readable({read: () => {}});
+        ndjson.read(readable, 10, (chunk, cb) => cb(null), err => {
+            assert.equal(err.message, 'readFailed');
+            next();
+        });
+        readable.emit('error', new Error('readFailed'));
+    },
+
+    function writeWaitsForDrain(next) {
+        const written = [];
+        const writable = new stream.Writable({
+            highWaterMark: 8,
+            write: (data, encoding, cb) => {
+                written.push(data.toString());
+                setTimeout(cb, 5);
+            }
+        });
+
+        let drained = false;
+        writable.once('drain', () => {
+            drained = true;
+        });
+        ndjson.write(writable, [{a: 1}, {b: 'two'}], err => {
+            assert.ifError(err);
+            assert.ok(drained, 'done waits for drain when the buffer is full');
+            assert.equal(written.join(''), '{"a":1}\n{"b":"two"}\n');
+
+            ndjson.write(writable, [], err => {
+                assert.ifError(err);
+                next();
+            });
+        });
+    },
+
+    function writeError(next) {
+        const writable = new stream.Writable({
+            highWaterMark: 8,
+            write: (data, encoding, cb) => setTimeout(cb, 5, new Error('writeFailed'))
+        });
+
+        ndjson.write(writable, [{a: 1}, {b: 'two'}], err => {
+            assert.equal(err && err.message, 'writeFailed', 'a failed stream does not drain, its error is passed on');
+            assert.equal(writable.listenerCount('error'), 0, 'the error listener is removed');
+            next();
+        });
+    },
+
+    function writeWithoutBackpressure(next) {
+        const written = [];
+        const writable = new stream.Writable({
+            write: (data, encoding, cb) => {
+                written.push(data.toString());
+                cb();
+            }
+        });
+
+        let sync = true;
+        ndjson.write(writable, [{a: 1}], err => {
+            assert.ifError(err);
+            assert.ok(!sync, 'done is always asynchronous');
+            assert.deepEqual(written, ['{"a":1}\n']);
+            next();
+        });
+        sync = false;
+    }
+], err => {
+    assert.ifError(err);
+    console.log('ndjson tests passed');
+});
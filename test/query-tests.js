@@ -0,0 +1,80 @@
+/* eslint no-console: 0 */
+const assert = require('assert');
+const query = require('../lib/query');
+const utils = require('../lib/utils');
+
+const tables = utils.tableNames('public', 'wrkr_');
+
+/**
+ * Criteria and paging SQL, no database needed
+ */
+const where = criteria => query.createWhereSQL(criteria, 1, tables);
+
+// Equality, null and arrays
+assert.deepEqual(where({}), {text: '', values: [], counter: 1});
+assert.deepEqual(where({tid: 'a'}), {text: 'WHERE "tid" = $1', values: ['a'], counter: 2});
+assert.equal(where({done: null}).text, 'WHERE "done" IS NULL');
+assert.deepEqual(where({id: [1, 2]}), {text: 'WHERE "id" = ANY($1)', values: [[1, 2]], counter: 2});
+
+// Operators, combined with AND
+const range = where({created: {$gte: 1, $lt: 2}, tid: {$ne: 'x'}});
+assert.equal(range.text, 'WHERE ("created" >= $1 AND "created" < $2) AND "tid" IS DISTINCT FROM $3');
+assert.deepEqual(range.values, [1, 2, 'x']);
+assert.equal(where({tid: {$nin: ['a']}}).text, 'WHERE NOT ("tid" = ANY($1))');
+assert.equal(where({failed: {$exists: true}}).text, 'WHERE "failed" IS NOT NULL');
+assert.equal(where({failed: {$exists: false}}).text, 'WHERE "failed" IS NULL');
+assert.equal(where({retryCount: 0}).text, 'WHERE COALESCE("retryCount", 0) = $1');
+
+// Names match through the events and queues tables
+assert.equal(where({queue: 'mail'}).text,
+    'WHERE "queue_id" IN (SELECT "id" FROM "public"."wrkr_queues" WHERE "name" = $1)');
+
+// JSONB containment and paths, numbers only compare with JSON numbers
+assert.deepEqual(where({payload: {a: 1}}), {text: 'WHERE "payload" @> $1::jsonb', values: ['{"a":1}'], counter: 2});
+assert.equal(where({result: {$hasKey: 'ok'}}).text, 'WHERE "result" ? $1');
+const text = where({'payload.customer.id': 'c1'});
+assert.equal(text.text, 'WHERE ("payload" #>> $1::text[]) = $2');
+assert.deepEqual(text.values, [['customer', 'id'], 'c1']);
+assert.deepEqual(where({'payload.flag': true}).values, [['flag'], 'true']);
+const numeric = where({'payload.x': {$gt: 5}});
+assert.equal(numeric.text, 'WHERE (CASE WHEN jsonb_typeof("payload" #> $1::text[]) = \'number\' ' +
+    'THEN ("payload" #>> $1::text[])::numeric END) > $2');
+assert.deepEqual(numeric.values, [['x'], 5]);
+
+// Placeholders continue from the counter
+assert.equal(query.createWhereSQL({tid: 'a'}, 3, tables).text, 'WHERE "tid" = $3');
+
+// Unknown fields and operators
+assert.throws(() => where({nope: 1}), err => utils.isError(err, 'invalidCriteriaField'));
+assert.throws(() => where({tid: {$regex: 'a'}}), err => utils.isError(err, 'invalidCriteriaOperator'));
+
+// Order, the id is the final tie breaker and NULL sorts after all values
+assert.equal(query.createPageSQL({}, 1).order, 'ORDER BY "id" ASC NULLS LAST');
+assert.equal(query.createPageSQL({sort: '-created'}, 1).order, 'ORDER BY "created" DESC NULLS FIRST, "id" ASC NULLS LAST');
+assert.equal(query.createPageSQL({sort: {priority: -1, id: -1}}, 1).order,
+    'ORDER BY "priority" DESC NULLS FIRST, "id" DESC NULLS FIRST');
+assert.equal(query.createPageSQL({sort: ['when', 'tid']}, 1).order,
+    'ORDER BY "when" ASC NULLS LAST, "tid" ASC NULLS LAST, "id" ASC NULLS LAST');
+assert.throws(() => query.createPageSQL({sort: 'payload'}, 1), err => utils.isError(err, 'invalidSortField'));
+
+// Limit and offset
+const page = query.createPageSQL({limit: 10, offset: 20}, 4);
+assert.equal(page.page, ' LIMIT $4 OFFSET $5');
+assert.deepEqual(page.values, [10, 20]);
+assert.equal(page.counter, 6);
+
+// Keyset paging after a value
+const after = query.createPageSQL({sort: 'created', after: {created: 5, id: 7}}, 1);
+assert.equal(after.after, '((("created" > $1 OR "created" IS NULL)) OR ' +
+    '("created" IS NOT DISTINCT FROM $2 AND ("id" > $3 OR "id" IS NULL)))');
+assert.deepEqual(after.values, [5, 5, 7]);
+
+// Keyset paging after NULL: ascending only ties are left, descending the values follow
+const afterNull = query.createPageSQL({sort: 'done', after: {id: 7}}, 1);
+assert.equal(afterNull.after, '(("done" IS NOT DISTINCT FROM $1 AND ("id" > $2 OR "id" IS NULL)))');
+assert.deepEqual(afterNull.values, [null, 7]);
+const afterNullDesc = query.createPageSQL({sort: '-done', after: {done: null, id: 7}}, 1);
+assert.equal(afterNullDesc.after, '(("done" IS NOT NULL) OR ("done" IS NOT DISTINCT FROM $1 AND ("id" > $2 OR "id" IS NULL)))');
+assert.equal(query.createPageSQL({sort: '-id', after: {id: 1}}, 1).after, '(("id" < $1))');
+
+console.log('query tests passed');
@@ -0,0 +1,46 @@
+/* eslint no-console: 0 */
+'use strict';
+
+const assert = require('assert');
+const setup = require('../lib/setup');
+
+/**
+ * Partition periods, no database needed
+ */
+const period = (partitionBy, date, offset) => {
+    const result = setup.partitionPeriod(partitionBy, new Date(date), offset);
+    return [result.from.toISOString().slice(0, 10), result.to.toISOString().slice(0, 10), result.suffix];
+};
+
+// Days, including a leap day and the time of day
+assert.deepEqual(period('day', '2020-02-29T23:59:59Z', 0), ['2020-02-29', '2020-03-01', 'p20200229']);
+assert.deepEqual(period('day', '2020-02-28T00:00:00Z', 1), ['2020-02-29', '2020-03-01', 'p20200229']);
+assert.deepEqual(period('day', '2020-03-01T00:00:00Z', -1), ['2020-02-29', '2020-03-01', 'p20200229']);
+
+// Weeks start on monday, also when the week crosses a year or month
+assert.deepEqual(period('week', '2020-01-01T12:00:00Z', 0), ['2019-12-30', '2020-01-06', 'p20191230']);
+assert.deepEqual(period('week', '2020-01-05T23:59:59Z', 0), ['2019-12-30', '2020-01-06', 'p20191230']);
+assert.deepEqual(period('week', '2020-01-06T00:00:00Z', 0), ['2020-01-06', '2020-01-13', 'p20200106']);
+assert.deepEqual(period('week', '2020-04-01T00:00:00Z', 0), ['2020-03-30', '2020-04-06', 'p20200330']);
+assert.deepEqual(period('week', '2019-12-25T00:00:00Z', 1), ['2019-12-30', '2020-01-06', 'p20191230']);
+assert.deepEqual(period('week', '2020-01-06T00:00:00Z', -1), ['2019-12-30', '2020-01-06', 'p20191230']);
+
+// Months, across the year boundary in both directions
+assert.deepEqual(period('month', '2019-12-31T23:59:59Z', 0), ['2019-12-01', '2020-01-01', 'p201912']);
+assert.deepEqual(period('month', '2019-12-15T00:00:00Z', 1), ['2020-01-01', '2020-02-01', 'p202001']);
+assert.deepEqual(period('month', '2020-01-31T00:00:00Z', -1), ['2019-12-01', '2020-01-01', 'p201912']);
+assert.deepEqual(period('month', '2020-01-31T00:00:00Z', 1), ['2020-02-01', '2020-03-01', 'p202002']);
+assert.deepEqual(period('month', '2019-11-30T00:00:00Z', 14), ['2021-01-01', '2021-02-01', 'p202101']);
+
+// Periods follow each other without gaps
+['day', 'week', 'month'].forEach(partitionBy => {
+    for (let offset = 0; offset < 10; offset++) {
+        const current = setup.partitionPeriod(partitionBy, new Date('2019-12-01T00:00:00Z'), offset);
+        const following = setup.partitionPeriod(partitionBy, new Date('2019-12-01T00:00:00Z'), offset + 1);
+        assert.equal(current.to.getTime(), following.from.getTime());
+    }
+});
+
+assert.throws(() => setup.partitionPeriod('year', new Date(), 0));
+
+console.log('setup tests passed');
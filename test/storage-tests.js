@@ -0,0 +1,1260 @@
+/* eslint no-console: 0 */
+'use strict';
+
+const assert = require('assert');
+const stream = require('stream');
+const _ = require('lodash');
+const async = require('async');
+const Client = require('pg').Client;
+const DBWrkrPostgreSQL = require('../dbwrkr-postgresql');
+const migrations = require('../lib/migrations');
+const setup = require('../lib/setup');
+
+const storage = new DBWrkrPostgreSQL({
+    dbName: 'dbwrkr'
+});
+
+/**
+ * Feature tests against a database, every test gets a connected storage and a callback
+ * Tests that need other options create (and disconnect) their own storage.
+ */
+const tests = [];
+const test = (name, fn) => tests.push({name: name, fn: fn});
+
+// Run fn with a connected storage of its own
+const withStorage = (opt, fn, cb) => {
+    const own = new DBWrkrPostgreSQL(Object.assign({dbName: 'dbwrkr'}, opt));
+    async.series([
+        next => own.connect(next),
+        next => fn(own, next)
+    ], err => own.disconnect(() => cb(err)));
+};
+
+// Connect count storages in parallel, run fn with them and disconnect them all
+const withStorages = (count, opt, fn, cb) => {
+    const storages = _.times(count, () => new DBWrkrPostgreSQL(Object.assign({dbName: 'dbwrkr'}, opt)));
+    async.series([
+        next => async.each(storages, (own, eachCb) => own.connect(eachCb), next),
+        next => fn(storages, next)
+    ], err => async.each(storages, (own, eachCb) => own.disconnect(() => eachCb()), () => cb(err)));
+};
+
+// Publish count items due now to a queue, calls back with their ids
+const publishItems = (target, queue, count, cb) => {
+    const events = [];
+    for (let i = 0; i < count; i++) {
+        events.push({name: `${queue}Event`, queue: queue, tid: `${i}`, when: new Date()});
+    }
+    target.publish(events, cb);
+};
+
+test('waitForNext wakes on publish and due items, not on other queues', cb => {
+    const queue = 'waitQueue';
+    const otherQueue = 'waitOtherQueue';
+    const event = (queueName, when) => {
+        return {name: 'waitEvent', queue: queueName, tid: queueName, when: when || new Date()};
+    };
+
+    // Wait on the queue while publish(callback) runs, calls back with the item and the waiting time
+    const waitWhile = (timeoutMs, publish, cb) => {
+        const started = Date.now();
+        async.parallel({
+            item: parallelCb => storage.waitForNext(queue, timeoutMs, parallelCb),
+            published: parallelCb => setTimeout(() => publish(parallelCb), 100)
+        }, (err, results) => {
+            if (err) return cb(err);
+            cb(null, results.item, Date.now() - started);
+        });
+    };
+
+    async.waterfall([
+        next => async.eachSeries([queue, otherQueue], (name, eachCb) => storage.remove({queue: name}, eachCb), err => next(err)),
+        next => storage.waitForNext(queue, 200, (err, item) => next(err, item)),
+        (item, next) => {
+            assert.equal(item, undefined, 'calls back with undefined on timeout');
+            waitWhile(5000, publishCb => storage.publish(event(queue), publishCb), next);
+        },
+        (item, waited, next) => {
+            assert.equal(item.tid, queue, 'woken by a publish');
+            assert.ok(waited < 2000, 'woken right away');
+            waitWhile(600, publishCb => storage.publish(event(otherQueue), publishCb), next);
+        },
+        (item, waited, next) => {
+            assert.equal(item, undefined, 'not woken by another queue');
+            assert.ok(waited >= 550, 'waited until the timeout');
+            waitWhile(5000, publishCb => storage.publish(event(queue, new Date(Date.now() + 500)), publishCb), next);
+        },
+        (item, waited, next) => {
+            assert.equal(item.tid, queue, 'woken when the delayed item is due');
+            assert.ok(waited >= 550 && waited < 2000, 'at its due time');
+            async.eachSeries([queue, otherQueue], (name, eachCb) => storage.remove({queue: name}, eachCb), next);
+        }
+    ], err => cb(err));
+});
+
+test('parallel connects upgrade a database at the baseline schema once', cb => {
+    const dbName = 'dbwrkr_migrations';
+    // The tables as created before schema migrations existed
+    const baseline = [
+        'CREATE TABLE "public"."wrkr_events" ("id" SERIAL PRIMARY KEY, "name" text NOT NULL)',
+        'CREATE INDEX "wrkr_events_name_index" on "public"."wrkr_events" ("name")',
+        'CREATE TABLE "public"."wrkr_queues" ("id" SERIAL PRIMARY KEY, "name" text NOT NULL)',
+        'CREATE INDEX "wrkr_queues_name_index" on "public"."wrkr_queues" ("name")',
+        `CREATE TABLE "public"."wrkr_subscriptions" (
+            "event_id" integer NOT NULL REFERENCES "public"."wrkr_events"("id"),
+            "queue_id" integer NOT NULL REFERENCES "public"."wrkr_queues"("id"),
+            PRIMARY KEY ("event_id", "queue_id"))`,
+        `CREATE TABLE "public"."wrkr_items" (
+            "id" serial primary key, "event_id" integer, "queue_id" integer, "tid" text, "payload" jsonb,
+            "parent" integer, "created" timestamptz, "when" timestamptz, "done" timestamptz, "retryCount" integer)`,
+        'CREATE INDEX "wrkr_items_name_index" on "public"."wrkr_items" ("event_id")',
+        'CREATE INDEX "wrkr_items_queue_index" on "public"."wrkr_items" ("queue_id")',
+        'CREATE INDEX "when_index" ON "public"."wrkr_items" ("when") WHERE NOT "when" IS NULL',
+        'CREATE INDEX "done_index" ON "public"."wrkr_items" ("done") WHERE NOT "done" IS NULL',
+        // The same name twice, names were not unique yet
+        'INSERT INTO "public"."wrkr_events" ("name") VALUES (\'baselineEvent\'), (\'baselineEvent\')',
+        'INSERT INTO "public"."wrkr_queues" ("name") VALUES (\'baselineQueue\')',
+        'INSERT INTO "public"."wrkr_subscriptions" VALUES (1, 1), (2, 1)',
+        `INSERT INTO "public"."wrkr_items" ("event_id", "queue_id", "tid", "created", "when", "retryCount")
+            VALUES (2, 1, 'baseline', now(), now() - interval '1 minute', 0)`
+    ];
+
+    async.waterfall([
+        next => storage.pool.query(`DROP DATABASE IF EXISTS "${dbName}"`, err => next(err)),
+        next => storage.pool.query(`CREATE DATABASE "${dbName}"`, err => next(err)),
+        next => {
+            const client = new Client({database: dbName});
+            client.connect(err => {
+                if (err) return next(err);
+                async.eachSeries(baseline, (statement, eachCb) => client.query(statement, eachCb), err => {
+                    client.end(() => next(err));
+                });
+            });
+        },
+        next => withStorages(4, {dbName: dbName}, (upgraded, done) => {
+            async.waterfall([
+                next => upgraded[0].pool.query(`SELECT "version" FROM ${upgraded[0].tables.schemaVersion} ORDER BY "version"`, next),
+                (result, next) => {
+                    assert.deepEqual(_.map(result.rows, 'version'), _.map(migrations, 'version'), 'every migration ran once');
+                    upgraded[0].pool.query('SELECT "indexname" FROM pg_indexes WHERE "indexname" IN (\'when_index\', \'done_index\')', next);
+                },
+                (result, next) => {
+                    assert.equal(result.rowCount, 0, 'legacy indexes dropped');
+                    upgraded[1].listEvents(next);
+                },
+                (events, next) => {
+                    assert.deepEqual(events, ['baselineEvent'], 'duplicate names merged');
+                    upgraded[2].subscriptions('baselineEvent', next);
+                },
+                (queues, next) => {
+                    assert.deepEqual(queues, ['baselineQueue']);
+                    upgraded[3].fetchNext('baselineQueue', next);
+                },
+                (item, next) => {
+                    assert.equal(item.tid, 'baseline', 'existing items are kept');
+                    assert.equal(item.name, 'baselineEvent');
+                    next();
+                }
+            ], done);
+        }, next),
+        next => storage.pool.query(`DROP DATABASE "${dbName}"`, err => next(err))
+    ], err => cb(err));
+});
+
+test('parallel connects create the tables of an empty database once', cb => {
+    const dbName = 'dbwrkr_empty';
+
+    async.waterfall([
+        next => storage.pool.query(`DROP DATABASE IF EXISTS "${dbName}"`, err => next(err)),
+        next => storage.pool.query(`CREATE DATABASE "${dbName}"`, err => next(err)),
+        next => withStorages(4, {dbName: dbName}, (created, done) => {
+            async.waterfall([
+                next => created[0].pool.query(`SELECT "version" FROM ${created[0].tables.schemaVersion} ORDER BY "version"`, next),
+                (result, next) => {
+                    assert.deepEqual(_.map(result.rows, 'version'), _.map(migrations, 'version'), 'every migration ran once');
+                    created[1].publish({name: 'emptyEvent', queue: 'emptyQueue', tid: 'empty', when: new Date()}, next);
+                },
+                (ids, next) => created[2].fetchNext('emptyQueue', next),
+                (item, next) => {
+                    assert.equal(item.tid, 'empty');
+                    next();
+                }
+            ], done);
+        }, next),
+        next => storage.pool.query(`DROP DATABASE "${dbName}"`, err => next(err))
+    ], err => cb(err));
+});
+
+test('withTransaction without callback commits and rolls back', cb => {
+    const event = {name: 'transactionEvent', queue: 'transactionQueue', tid: 'transaction', when: new Date()};
+
+    storage.remove({queue: event.queue})
+        .then(() => storage.withTransaction(client => {
+            return storage.publish(event, {client: client}).then(() => 'committed');
+        }))
+        .then(result => {
+            assert.equal(result, 'committed', 'resolves with the result of fn');
+            return storage.find({queue: event.queue});
+        })
+        .then(items => {
+            assert.equal(items.length, 1, 'published item committed');
+            return storage.withTransaction(client => {
+                return storage.publish(event, {client: client}).then(() => {
+                    throw new Error('rollback');
+                });
+            }).then(() => null, err => err);
+        })
+        .then(rejected => {
+            assert.equal(rejected && rejected.message, 'rollback', 'rejects with the error of fn');
+            return storage.find({queue: event.queue});
+        })
+        .then(items => {
+            assert.equal(items.length, 1, 'published item rolled back');
+            return storage.remove({queue: event.queue});
+        })
+        .then(() => cb(), cb);
+});
+
+test('publish and subscribe in parallel transactions resolve new names on their client', cb => {
+    const suffix = Date.now();
+    const queueName = n => `transactionNames${suffix}-${n}`;
+
+    async.waterfall([
+        // More transactions than pool clients, every one with names that do not exist yet
+        next => async.times(15, (n, timesCb) => {
+            storage.withTransaction((client, transactionCb) => {
+                const event = {name: `transactionNamesEvent${suffix}-${n}`, queue: queueName(n), when: new Date()};
+                async.series([
+                    seriesCb => storage.subscribe(event.name, event.queue, {client: client}, seriesCb),
+                    seriesCb => storage.publish(event, {client: client}, seriesCb)
+                ], err => transactionCb(err || (n % 3 === 0 ? new Error('rollback') : null)));
+            }, err => timesCb(null, err));
+        }, next),
+        (errors, next) => {
+            _.each(errors, (err, n) => assert.equal(err && err.message, n % 3 === 0 ? 'rollback' : undefined));
+            storage.listQueues(next);
+        },
+        (queues, next) => {
+            _.times(15, n => {
+                assert.equal(queues.indexOf(queueName(n)) !== -1, n % 3 !== 0, 'names exist only when committed');
+            });
+            async.eachSeries(_.filter(queues, name => _.startsWith(name, `transactionNames${suffix}`)), (name, eachCb) => {
+                storage.deleteQueue(name, {purgeItems: true}, eachCb);
+            }, next);
+        },
+        next => storage.removeOrphans(err => next(err))
+    ], err => cb(err));
+});
+
+test('publishing while partitions are created moves and keeps every item', cb => {
+    const schema = 'partition_tests';
+    const day = 86400000;
+    const event = n => {
+        return {name: 'partitionEvent', queue: 'partitionQueue', tid: `${n}`, created: new Date(Date.now() + (n % 5) * day)};
+    };
+
+    storage.pool.query('SELECT current_setting(\'server_version_num\')::integer AS "version"', (err, result) => {
+        if (err) return cb(err);
+        if (result.rows[0].version < 110000) {
+            console.log('# skipped, partitioning requires PostgreSQL 11+');
+            return cb(null);
+        }
+
+        async.series([
+            next => storage.pool.query(`DROP SCHEMA IF EXISTS "${schema}" CASCADE`, next),
+            next => withStorage({schema: schema, partitionBy: 'day', partitionPremake: 0}, (partitioned, done) => {
+                const countQuery = table => `SELECT count(*)::integer AS "count" FROM ${table}`;
+
+                async.waterfall([
+                    // Items of future days go to the default partition
+                    next => partitioned.publish(_.times(20, event), err => next(err)),
+                    next => async.parallel({
+                        published: parallelCb => async.times(20, (n, timesCb) => partitioned.publish(event(n), timesCb), parallelCb),
+                        partitions: parallelCb => setup.ensurePartitions(partitioned.pool, partitioned.tables, 'day', 5, parallelCb)
+                    }, err => next(err)),
+                    next => partitioned.pool.query(countQuery(partitioned.tables.items), next),
+                    (result, next) => {
+                        assert.equal(result.rows[0].count, 40, 'every item kept');
+                        partitioned.pool.query(countQuery(partitioned.tables.partition('default')), next);
+                    },
+                    (result, next) => {
+                        assert.equal(result.rows[0].count, 0, 'items moved out of the default partition');
+                        next();
+                    }
+                ], done);
+            }, next),
+            next => storage.pool.query(`DROP SCHEMA "${schema}" CASCADE`, next)
+        ], err => cb(err));
+    });
+});
+
+test('ack stores the result, nack the error and its stack', cb => {
+    const queue = 'ackQueue';
+    const failure = new Error('ack test failure');
+    let ids;
+
+    withStorage({leaseMs: 10000}, (leased, done) => {
+        async.waterfall([
+            next => leased.remove({queue: queue}, err => next(err)),
+            next => publishItems(leased, queue, 2, next),
+            (publishedIds, next) => {
+                ids = publishedIds;
+                leased.ack(ids[0], {result: {sent: true}}, err => next(null, err));
+            },
+            (err, next) => {
+                assert.equal(err && err.code, 'leaseNotFound', 'an item that is not leased can not be acked');
+                leased.fetchNext(queue, next);
+            },
+            (item, next) => {
+                assert.equal(item.id, ids[0]);
+                leased.ack(item.id, {result: {sent: true, to: ['a', 'b']}}, err => next(err));
+            },
+            next => leased.fetchNext(queue, next),
+            (item, next) => {
+                assert.equal(item.id, ids[1]);
+                leased.nack(item.id, {error: failure, delay: 60000}, err => next(err));
+            },
+            next => leased.find({id: ids}, {sort: 'id'}, next),
+            (items, next) => {
+                assert.deepEqual(items[0].result, {sent: true, to: ['a', 'b']}, 'result stored');
+                assert.ok(items[0].done, 'acked item is done');
+                assert.equal(items[1].error, 'ack test failure', 'error message stored');
+                assert.equal(items[1].errorStack, failure.stack, 'error stack stored');
+                assert.equal(items[1].retryCount, 1);
+                assert.ok(items[1].when > new Date(), 'retried after the delay');
+                assert.equal(items[1].result, undefined);
+                leased.remove({queue: queue}, next);
+            }
+        ], err => done(err));
+    }, cb);
+});
+
+test('expired leases are reclaimed once by parallel reapers, in batches', cb => {
+    const queue = 'reclaimQueue';
+    const itemCount = 25;
+
+    withStorage({leaseMs: 50, reclaimBatchSize: 4}, (leased, done) => {
+        async.waterfall([
+            next => leased.remove({queue: queue}, err => next(err)),
+            next => publishItems(leased, queue, itemCount, err => next(err)),
+            next => leased.fetchMany(queue, itemCount, next),
+            (items, next) => {
+                assert.equal(items.length, itemCount, 'all items claimed');
+                setTimeout(next, 100);
+            },
+            next => async.times(3, (n, timesCb) => leased.reclaimExpired(timesCb), next),
+            (counts, next) => {
+                assert.equal(counts[0] + counts[1] + counts[2], itemCount, 'every item reclaimed once');
+                leased.find({queue: queue}, next);
+            },
+            (items, next) => {
+                assert.equal(items.length, itemCount, 'reclaimed items are pending again');
+                _.each(items, item => {
+                    assert.equal(item.retryCount, 1);
+                    assert.equal(item.error, 'leaseExpired');
+                    assert.equal(item.lockedUntil, null);
+                });
+                leased.reclaimExpired(next);
+            },
+            (count, next) => {
+                assert.equal(count, 0, 'nothing left to reclaim');
+                leased.remove({queue: queue}, next);
+            }
+        ], err => done(err));
+    }, cb);
+});
+
+test('items move to the dead-letter queue after maxRetries', cb => {
+    const queue = 'deadLetterQueue';
+    let id;
+
+    withStorage({leaseMs: 50, maxRetries: 1}, (leased, done) => {
+        async.waterfall([
+            next => leased.purgeDeadLetters(queue, {}, err => next(err)),
+            next => leased.remove({queue: queue}, err => next(err)),
+            next => publishItems(leased, queue, 1, next),
+            (ids, next) => {
+                id = ids[0];
+                leased.fetchNext(queue, next);
+            },
+            (item, next) => {
+                assert.equal(item.id, id);
+                setTimeout(next, 100);
+            },
+            next => leased.reclaimExpired(next),
+            (count, next) => {
+                assert.equal(count, 1, 'first expired lease is retried');
+                leased.fetchNext(queue, next);
+            },
+            (item, next) => {
+                assert.equal(item.id, id, 'retried item claimed again');
+                leased.nack(id, {error: new Error('second failure')}, err => next(err));
+            },
+            next => leased.fetchNext(queue, next),
+            (item, next) => {
+                assert.ok(!item, 'dead-lettered item is not claimed from its queue');
+                leased.listDeadLetters(queue, next);
+            },
+            (items, next) => {
+                assert.equal(items.length, 1);
+                assert.equal(items[0].id, id);
+                assert.equal(items[0].error, 'second failure');
+                assert.deepEqual(_.map(items[0].history, 'error'), ['leaseExpired', 'second failure']);
+                leased.purgeDeadLetters(queue, {}, err => next(err));
+            }
+        ], err => done(err));
+    }, cb);
+});
+
+test('large batches are published in chunks, ids in input order, all or nothing', cb => {
+    const queue = 'chunkQueue';
+    // 13 parameters per event used to exceed the protocol limit of 65535 parameters
+    const eventCount = 12000;
+
+    withStorage({publishChunkSize: 5000}, (chunked, done) => {
+        async.waterfall([
+            next => chunked.remove({queue: queue}, err => next(err)),
+            next => publishItems(chunked, queue, eventCount, next),
+            (ids, next) => {
+                assert.equal(ids.length, eventCount);
+                chunked.find({queue: queue}, {sort: 'id'}, (err, items) => next(err, ids, items));
+            },
+            (ids, items, next) => {
+                assert.equal(items.length, eventCount, 'all chunks stored');
+                const tidsById = _.fromPairs(_.map(items, item => [item.id, item.tid]));
+                _.each(ids, (id, index) => assert.equal(tidsById[id], `${index}`, 'ids in input order'));
+                chunked.remove({queue: queue}, err => next(err));
+            },
+            next => {
+                const events = _.times(eventCount, n => {
+                    // The second chunk fails
+                    return {name: `${queue}Event`, queue: queue, tid: `${n}`, when: n === 7000 ? 'not a date' : new Date()};
+                });
+                chunked.publish(events, err => next(null, err));
+            },
+            (err, next) => {
+                assert.ok(err, 'a failing chunk fails the publish');
+                chunked.find({queue: queue}, next);
+            },
+            (items, next) => {
+                assert.equal(items.length, 0, 'earlier chunks rolled back');
+                next();
+            }
+        ], done);
+    }, cb);
+});
+
+test('dead-lettered items release their dedupeKey', cb => {
+    const queue = 'deadLetterDedupeQueue';
+    const event = {name: 'deadLetterDedupeEvent', queue: queue, tid: 'order-1', dedupeKey: 'key', when: new Date()};
+    const ids = [];
+
+    // Publish the key, claim it and fail it through fail(item, callback)
+    const publishAndFail = (leased, fail, cb) => {
+        async.waterfall([
+            next => leased.publish(Object.assign({}, event), next),
+            (published, next) => {
+                ids.push(published[0]);
+                leased.fetchNext(queue, next);
+            },
+            (item, next) => {
+                assert.equal(item.id, _.last(ids));
+                fail(item, next);
+            }
+        ], err => cb(err));
+    };
+
+    withStorage({leaseMs: 50, maxRetries: 0}, (leased, done) => {
+        async.waterfall([
+            next => leased.purgeDeadLetters(queue, {}, err => next(err)),
+            next => leased.remove({queue: queue}, err => next(err)),
+            next => publishAndFail(leased, (item, failCb) => leased.nack(item.id, {error: 'failed'}, failCb), next),
+            next => publishAndFail(leased, (item, failCb) => {
+                setTimeout(() => leased.reclaimExpired(failCb), 100);
+            }, next),
+            next => leased.listDeadLetters(queue, next),
+            (items, next) => {
+                assert.deepEqual(_.map(items, 'id').sort(), ids.slice().sort(), 'both items dead-lettered');
+                _.each(items, item => {
+                    assert.ok(!item.dedupeKey, 'dedupeKey released');
+                    assert.equal(_.last(item.history).dedupeKey, 'key', 'history keeps the dedupeKey');
+                });
+
+                leased.publish(Object.assign({}, event), next);
+            },
+            (published, next) => {
+                assert.equal(ids.indexOf(published[0]), -1, 'the key can be published again');
+                leased.requeueDeadLetters(queue, {ids: [ids[0]]}, next);
+            },
+            (count, next) => {
+                assert.equal(count, 1, 'requeued next to the item that holds the key');
+                leased.find({queue: queue}, next);
+            },
+            (items, next) => {
+                assert.equal(items.length, 2);
+                leased.purgeDeadLetters(queue, {}, err => next(err));
+            },
+            next => leased.remove({queue: queue}, err => next(err))
+        ], done);
+    }, cb);
+});
+
+test('publishing a dedupeKey again returns the existing id', cb => {
+    const queue = 'dedupeQueue';
+    const event = {name: 'dedupeEvent', queue: queue, tid: 'order-1', dedupeKey: true, when: new Date()};
+
+    async.waterfall([
+        next => storage.remove({queue: queue}, err => next(err)),
+        next => async.times(5, (n, timesCb) => storage.publish(Object.assign({}, event), timesCb), next),
+        (results, next) => {
+            const ids = _.flatten(results);
+            assert.equal(_.uniq(ids).length, 1, 'parallel publishes return one id');
+
+            storage.publish([
+                Object.assign({}, event),
+                Object.assign({}, event, {dedupeKey: 'other'}),
+                Object.assign({}, event, {dedupeKey: 'other'})
+            ], (err, batchIds) => next(err, ids[0], batchIds));
+        },
+        (id, batchIds, next) => {
+            assert.equal(batchIds[0], id, 'existing key in a batch');
+            assert.equal(batchIds[1], batchIds[2], 'same key twice in a batch');
+            assert.notEqual(batchIds[1], id);
+            storage.find({queue: queue}, next);
+        },
+        (items, next) => {
+            assert.equal(items.length, 2, 'one item per key');
+            storage.publish(_.omit(event, 'tid'), err => next(null, err));
+        },
+        (err, next) => {
+            assert.equal(err && err.code, 'dedupeKeyWithoutTid');
+            storage.remove({queue: queue}, next);
+        }
+    ], err => cb(err));
+});
+
+test('retention archives and deletes finished items in batches, except for excluded queues', cb => {
+    const opt = {
+        schema: 'retention_tests',
+        retention: {olderThan: 0},
+        retentionBatchSize: 2,
+        queueOptions: {
+            retentionDeleted: {retention: {olderThan: 0, mode: 'delete'}},
+            retentionKept: {retention: false}
+        }
+    };
+    const counts = {retentionArchived: 5, retentionDeleted: 3, retentionKept: 2};
+
+    withStorage(opt, (retained, done) => {
+        // Item counts per queue, finished or not, in the items table and the archive
+        const countItems = cb => {
+            const countQuery = table => `
+                SELECT      qu."name", count(*)::integer AS "count"
+                FROM        ${table} AS it
+                INNER JOIN  ${retained.tables.queues} AS qu ON it."queue_id"=qu."id"
+                GROUP BY    qu."name"`;
+
+            async.mapSeries([retained.tables.items, retained.tables.itemsArchive], (table, mapCb) => {
+                retained.pool.query(countQuery(table), (err, result) => {
+                    if (err) return mapCb(err);
+                    mapCb(null, _.mapValues(_.keyBy(result.rows, 'name'), 'count'));
+                });
+            }, cb);
+        };
+
+        async.waterfall([
+            next => retained.pool.query(`TRUNCATE ${retained.tables.items}, ${retained.tables.itemsArchive}`, err => next(err)),
+            next => async.eachOfSeries(counts, (count, queue, eachCb) => {
+                async.series([
+                    seriesCb => publishItems(retained, queue, count, seriesCb),
+                    seriesCb => retained.fetchMany(queue, count, seriesCb)
+                ], eachCb);
+            }, err => next(err)),
+            // One item that is not done yet
+            next => publishItems(retained, 'retentionArchived', 1, err => next(err)),
+            next => setTimeout(next, 10),
+            next => retained.applyRetention(next),
+            (totals, next) => {
+                assert.deepEqual(totals, {archived: 5, deleted: 3}, 'every batch is applied');
+                countItems(next);
+            },
+            (tableCounts, next) => {
+                assert.deepEqual(tableCounts[0], {retentionArchived: 1, retentionKept: 2}, 'unfinished items and excluded queues are kept');
+                assert.deepEqual(tableCounts[1], {retentionArchived: 5}, 'deleted items are not archived');
+                retained.applyRetention(next);
+            },
+            (totals, next) => {
+                assert.deepEqual(totals, {archived: 0, deleted: 0});
+                retained.pool.query(`TRUNCATE ${retained.tables.items}, ${retained.tables.itemsArchive}`, err => next(err));
+            }
+        ], done);
+    }, cb);
+});
+
+test('higher priorities are claimed first, equal priorities in publish order', cb => {
+    const queue = 'priorityQueue';
+    const now = new Date();
+    const item = (tid, priority, when) => {
+        return {name: 'priorityEvent', queue: queue, tid: tid, priority: priority, when: when || now};
+    };
+
+    async.waterfall([
+        next => storage.remove({queue: queue}, err => next(err)),
+        next => storage.publish([
+            item('low1', 0), item('high1', 5), item('low2', 0), item('high2', 5), item('middle', 1),
+            item('later', 9, new Date(Date.now() + 60000))
+        ], err => next(err)),
+        next => storage.find({queue: queue, priority: 5}, next),
+        (items, next) => {
+            assert.deepEqual(_.map(items, 'tid').sort(), ['high1', 'high2'], 'find filters on priority');
+            storage.find({queue: queue}, {sort: ['-priority', 'id']}, next);
+        },
+        (items, next) => {
+            assert.deepEqual(_.map(items, 'tid'), ['later', 'high1', 'high2', 'middle', 'low1', 'low2'], 'find sorts on priority');
+            storage.stats(queue, {groupBy: 'priority'}, next);
+        },
+        (stats, next) => {
+            assert.deepEqual(_.keys(stats).sort(), ['0', '1', '5', '9']);
+            assert.deepEqual(_.mapValues(stats, 'pending'), {0: 2, 1: 1, 5: 2, 9: 0}, 'pending per priority');
+            assert.equal(stats[9].scheduled, 1, 'scheduled per priority');
+            async.timesSeries(6, (n, timesCb) => storage.fetchNext(queue, timesCb), next);
+        },
+        (fetched, next) => {
+            assert.deepEqual(_.map(fetched, 'tid'), ['high1', 'high2', 'middle', 'low1', 'low2', undefined],
+                'the highest priority first, FIFO within a priority, not before it is due');
+            storage.remove({queue: queue}, next);
+        }
+    ], err => cb(err));
+});
+
+test('after the dedupeWindow a key is released in the queue it is published to only', cb => {
+    const queues = ['windowQueue', 'windowOtherQueue'];
+    const event = queue => ({name: 'windowEvent', queue: queue, tid: queue, dedupeKey: 'windowKey', when: new Date()});
+    let firstIds;
+
+    withStorage({dedupeWindow: 50}, (windowed, done) => {
+        async.waterfall([
+            next => async.eachSeries(queues, (queue, eachCb) => windowed.remove({queue: queue}, eachCb), err => next(err)),
+            next => windowed.publish(_.map(queues, event), next),
+            (ids, next) => {
+                firstIds = ids;
+                windowed.publish(event(queues[0]), next);
+            },
+            (ids, next) => {
+                assert.equal(ids[0], firstIds[0], 'the key is held within the window');
+                setTimeout(next, 100);
+            },
+            next => windowed.publish(event(queues[0]), next),
+            (ids, next) => {
+                assert.notEqual(ids[0], firstIds[0], 'the key is released after the window');
+                windowed.find({queue: queues[1]}, next);
+            },
+            (items, next) => {
+                assert.equal(items.length, 1);
+                assert.equal(items[0].dedupeKey, 'windowKey', 'the key of another queue is kept');
+                async.eachSeries(queues, (queue, eachCb) => windowed.remove({queue: queue}, eachCb), next);
+            }
+        ], done);
+    }, cb);
+});
+
+test('parallel fetchers process a group one item at a time, in publish order', cb => {
+    const queue = 'groupQueue';
+    const groupCount = 4;
+    const perGroup = 5;
+    const itemCount = groupCount * perGroup;
+
+    withStorage({leaseMs: 10000}, (leased, done) => {
+        const inFlight = {};
+        const processed = {};
+        let processedCount = 0;
+
+        const handle = (item, handleCb) => {
+            assert.ok(!inFlight[item.groupKey], `group ${item.groupKey} has one item in flight`);
+            inFlight[item.groupKey] = true;
+            setTimeout(() => {
+                inFlight[item.groupKey] = false;
+                processed[item.groupKey] = (processed[item.groupKey] || []).concat(parseInt(item.tid, 10));
+                processedCount++;
+                leased.ack(item.id, {}, handleCb);
+            }, 5);
+        };
+
+        async.series([
+            next => leased.remove({queue: queue}, next),
+            next => {
+                const created = Date.now();
+                const events = [];
+                for (let i = 0; i < itemCount; i++) {
+                    events.push({
+                        name: 'groupEvent',
+                        queue: queue,
+                        tid: `${i}`,
+                        groupKey: `group${i % groupCount}`,
+                        created: new Date(created + i),
+                        when: new Date()
+                    });
+                }
+                leased.publish(events, next);
+            },
+            next => async.times(6, (n, timesCb) => {
+                async.until(() => processedCount === itemCount, untilCb => {
+                    // Half of the fetchers claim in batches
+                    const fetch = n % 2 ? fetchCb => leased.fetchMany(queue, 3, fetchCb)
+                        : fetchCb => leased.fetchNext(queue, (err, item) => fetchCb(err, item ? [item] : []));
+
+                    fetch((err, items) => {
+                        if (err) return untilCb(err);
+                        if (items.length === 0) return setTimeout(untilCb, 5);
+                        async.each(items, handle, untilCb);
+                    });
+                }, timesCb);
+            }, next),
+            next => {
+                _.times(groupCount, group => {
+                    assert.deepEqual(processed[`group${group}`], _.range(group, itemCount, groupCount), 'group in publish order');
+                });
+                leased.find({queue: queue}, (err, items) => {
+                    if (err) return next(err);
+                    assert.equal(items.length, 0, 'all items done');
+                    next();
+                });
+            }
+        ], done);
+    }, cb);
+});
+
+test('queue limits hold across parallel claims', cb => {
+    const queue = 'limitsQueue';
+    const claimAll = (target, cb) => {
+        async.times(6, (n, timesCb) => target.fetchMany(queue, 2, timesCb), (err, results) => {
+            if (err) return cb(err);
+            cb(null, _.flatten(results));
+        });
+    };
+
+    withStorage({leaseMs: 10000}, (leased, done) => {
+        async.waterfall([
+            next => leased.remove({queue: queue}, err => next(err)),
+            next => publishItems(leased, queue, 10, err => next(err)),
+            next => leased.setQueueLimits(queue, {maxInFlight: 3}, err => next(err)),
+            next => claimAll(leased, next),
+            (items, next) => {
+                assert.equal(items.length, 3, 'claims stop at maxInFlight');
+                leased.ack(items[0].id, {}, err => next(err));
+            },
+            next => claimAll(leased, next),
+            (items, next) => {
+                assert.equal(items.length, 1, 'an acked item makes room for one more');
+                leased.setQueueLimits(queue, {maxInFlight: null, ratePerMinute: 6}, err => next(err));
+            },
+            next => claimAll(leased, next),
+            (items, next) => {
+                // 4 items were claimed within the last minute already
+                assert.equal(items.length, 2, 'claims stop at ratePerMinute');
+                leased.setQueueLimits(queue, {ratePerMinute: null}, err => next(err));
+            },
+            next => claimAll(leased, next),
+            (items, next) => {
+                assert.equal(items.length, 4, 'the rest is claimed without limits');
+                leased.remove({queue: queue}, err => next(err));
+            }
+        ], done);
+    }, cb);
+});
+
+test('concurrent ticks publish every schedule slot once', cb => {
+    const queue = 'scheduleQueue';
+    const name = 'scheduleTick';
+    const minute = 60000;
+    const first = new Date(Math.floor(Date.now() / minute) * minute - 10 * minute);
+
+    withStorage({}, (other, done) => {
+        async.waterfall([
+            next => storage.remove({queue: queue}, err => next(err)),
+            next => storage.schedule(name, '* * * * *', {queue: queue}, next),
+            next => {
+                // Pretend the schedule missed the last ten minutes
+                const updateQuery = `UPDATE ${storage.tables.schedules} SET "next" = $2 WHERE "name" = $1`;
+                storage.pool.query(updateQuery, [name, first], err => next(err));
+            },
+            next => async.times(8, (n, timesCb) => (n % 2 ? storage : other).tickSchedules(timesCb), next),
+            (counts, next) => storage.find({queue: queue}, {sort: 'when'}, (err, items) => next(err, _.sum(counts), items)),
+            (published, items, next) => {
+                assert.ok(items.length >= 11, 'missed slots are caught up');
+                assert.equal(published, items.length, 'counts add up to the published items');
+                _.each(items, (item, index) => {
+                    assert.equal(item.when.getTime(), first.getTime() + index * minute, 'one item per slot');
+                });
+                storage.unschedule(name, next);
+            },
+            next => storage.remove({queue: queue}, next)
+        ], done);
+    }, cb);
+});
+
+test('cancel and reschedule leave claimed and done items alone', cb => {
+    const queue = 'cancelQueue';
+    const future = new Date(Date.now() + 3600000);
+
+    // Run a change in parallel with a claim, every item is either changed or claimed
+    const raceClaim = (leased, change, cb) => {
+        async.parallel({
+            changed: change,
+            claimed: next => leased.fetchMany(queue, 2, next)
+        }, cb);
+    };
+
+    withStorage({leaseMs: 10000}, (leased, done) => {
+        let untouched;
+        let rescheduledCount;
+
+        async.waterfall([
+            next => leased.remove({queue: queue}, err => next(err)),
+            next => publishItems(leased, queue, 6, err => next(err)),
+            next => leased.fetchMany(queue, 2, next),
+            (items, next) => {
+                untouched = _.map(items, 'id');
+                leased.ack(untouched[0], {}, err => next(err));
+            },
+            next => raceClaim(leased, changeCb => leased.cancel({queue: queue}, {reason: 'test'}, changeCb), next),
+            (race, next) => {
+                assert.equal(race.changed + race.claimed.length, 4, 'pending items are cancelled or claimed');
+                untouched = untouched.concat(_.map(race.claimed, 'id'));
+                leased.find({queue: queue, cancelled: {$exists: true}}, next);
+            },
+            (cancelled, next) => {
+                assert.equal(_.intersection(_.map(cancelled, 'id'), untouched).length, 0, 'claimed items not cancelled');
+                _.each(cancelled, item => assert.deepEqual(_.pick(_.last(item.history), 'action', 'reason'), {action: 'cancelled', reason: 'test'}));
+
+                publishItems(leased, queue, 4, err => next(err));
+            },
+            next => raceClaim(leased, changeCb => leased.reschedule({queue: queue}, future, changeCb), next),
+            (race, next) => {
+                assert.equal(race.changed + race.claimed.length, 4, 'pending items are rescheduled or claimed');
+                rescheduledCount = race.changed;
+                untouched = untouched.concat(_.map(race.claimed, 'id'));
+                leased.find({id: untouched}, next);
+            },
+            (items, next) => {
+                assert.equal(items.length, untouched.length);
+                _.each(items, item => {
+                    assert.ok(!item.cancelled, 'claimed item not cancelled');
+                    assert.ok(!_.find(item.history, {action: 'rescheduled'}), 'claimed item not rescheduled');
+                });
+                leased.find({queue: queue, when: future}, next);
+            },
+            (rescheduled, next) => {
+                assert.equal(rescheduled.length, rescheduledCount);
+
+                // Without a valid date nothing changes, also in the Promise form
+                async.parallel([
+                    invalidCb => leased.reschedule({queue: queue}, null, err => invalidCb(null, err)),
+                    invalidCb => leased.reschedule({queue: queue}, new Date('invalid'), err => invalidCb(null, err)),
+                    invalidCb => leased.reschedule({queue: queue}).then(() => invalidCb(null, null), err => invalidCb(null, err))
+                ], next);
+            },
+            (errors, next) => {
+                _.each(errors, err => assert.equal(err && err.code, 'invalidWhen'));
+                leased.find({queue: queue, when: future}, next);
+            },
+            (rescheduled, next) => {
+                assert.equal(rescheduled.length, rescheduledCount, 'invalid dates leave the items alone');
+                leased.remove({queue: queue}, err => next(err));
+            }
+        ], done);
+    }, cb);
+});
+
+test('the fan-in follow-up is published once when children complete in parallel', cb => {
+    const queues = {parents: 'fanInParents', children: 'fanInChildren', followUp: 'fanInFollowUp'};
+    const childCount = 12;
+
+    // Publish a parent with childCount children, calls back with the parent id
+    const publishFamily = (target, tid, cb) => {
+        const parent = {
+            name: 'fanInParent',
+            queue: queues.parents,
+            tid: tid,
+            when: new Date(),
+            onChildrenDone: {name: 'fanInDone', queue: queues.followUp}
+        };
+        target.publish(parent, (err, ids) => {
+            if (err) return cb(err);
+
+            const children = _.times(childCount, n => {
+                return {name: 'fanInChild', queue: queues.children, tid: `${tid}-${n}`, parent: ids[0], when: new Date()};
+            });
+            target.publish(children, err => cb(err, ids[0]));
+        });
+    };
+
+    const followUps = (parentId, cb) => {
+        storage.find({queue: queues.followUp}, (err, items) => {
+            if (err) return cb(err);
+            cb(null, _.filter(items, item => String(item.parent) === String(parentId)));
+        });
+    };
+
+    withStorage({leaseMs: 10000}, (leased, done) => {
+        async.waterfall([
+            next => async.eachSeries(_.values(queues), (queue, eachCb) => storage.remove({queue: queue}, eachCb), err => next(err)),
+
+            // Children are done when claimed, by parallel fetchers
+            next => publishFamily(storage, 'claimed', next),
+            (parentId, next) => {
+                async.times(childCount, (n, timesCb) => storage.fetchNext(queues.children, timesCb), err => next(err, parentId));
+            },
+            (parentId, next) => followUps(parentId, next),
+            (items, next) => {
+                assert.equal(items.length, 1, 'one follow-up after parallel claims');
+                assert.equal(items[0].name, 'fanInDone');
+                assert.equal(items[0].tid, 'claimed', 'follow-up has the parent tid');
+
+                // In lease mode children are done when acked, in parallel
+                publishFamily(leased, 'acked', next);
+            },
+            (parentId, next) => {
+                leased.fetchMany(queues.children, childCount, (err, children) => {
+                    if (err) return next(err);
+                    assert.equal(children.length, childCount);
+                    followUps(parentId, (err, items) => {
+                        if (err) return next(err);
+                        assert.equal(items.length, 0, 'no follow-up while children are leased');
+                        async.each(children, (child, eachCb) => leased.ack(child.id, {}, eachCb), err => next(err, parentId));
+                    });
+                });
+            },
+            (parentId, next) => followUps(parentId, next),
+            (items, next) => {
+                assert.equal(items.length, 1, 'one follow-up after parallel acks');
+                async.eachSeries(_.values(queues), (queue, eachCb) => storage.remove({queue: queue}, eachCb), next);
+            }
+        ], done);
+    }, cb);
+});
+
+test('replayed items link to the original item as parent', cb => {
+    const queue = 'replayQueue';
+    const targetQueue = 'replayTargetQueue';
+    const done = {queue: queue, done: {$exists: true}};
+    let originalIds;
+
+    async.waterfall([
+        next => async.eachSeries([queue, targetQueue], (name, eachCb) => storage.remove({queue: name}, eachCb), err => next(err)),
+        next => publishItems(storage, queue, 3, next),
+        (ids, next) => {
+            originalIds = ids;
+            storage.fetchMany(queue, 3, err => next(err));
+        },
+        next => storage.replay(done, {targetQueue: targetQueue, dryRun: true}, next),
+        (count, next) => {
+            assert.equal(count, 3, 'dry run counts the done items');
+            storage.find({queue: targetQueue}, next);
+        },
+        (items, next) => {
+            assert.equal(items.length, 0, 'dry run publishes nothing');
+            storage.replay(done, {targetQueue: targetQueue}, next);
+        },
+        (count, next) => {
+            assert.equal(count, 3);
+            storage.find({queue: targetQueue}, {sort: 'id'}, next);
+        },
+        (replayed, next) => {
+            assert.deepEqual(_.map(replayed, item => String(item.parent)), originalIds, 'parent is the original item');
+            assert.deepEqual(_.map(replayed, 'tid'), ['0', '1', '2']);
+            storage.lineage(replayed[0].id, next);
+        },
+        (lineage, next) => {
+            assert.deepEqual(_.map(lineage, item => String(item.id)).slice(1), [originalIds[0]], 'lineage leads to the original');
+            storage.children(originalIds[1], next);
+        },
+        (children, next) => {
+            assert.equal(children.length, 1, 'the original has the replay as child');
+            assert.equal(children[0].queue, targetQueue);
+            async.eachSeries([queue, targetQueue], (name, eachCb) => storage.remove({queue: name}, eachCb), next);
+        }
+    ], err => cb(err));
+});
+
+test('publishing while a queue is deleted leaves no items without a queue', cb => {
+    const queue = 'deleteRaceQueue';
+    const orphansQuery = `
+        SELECT  count(*)::integer AS "count"
+        FROM    ${storage.tables.items}
+        WHERE   "queue_id" NOT IN (SELECT "id" FROM ${storage.tables.queues})`;
+
+    async.waterfall([
+        next => async.timesSeries(2, (n, timesCb) => publishItems(storage, queue, 1, timesCb), err => next(err)),
+        next => storage.deleteQueue(queue, {}, err => next(null, err)),
+        (err, next) => {
+            assert.equal(err && err.code, 'queueNotEmpty');
+
+            // The queue id is memorized, the publishes race the delete
+            async.parallel({
+                published: parallelCb => async.times(10, (n, timesCb) => {
+                    publishItems(storage, queue, 1, err => timesCb(null, err));
+                }, parallelCb),
+                deleted: parallelCb => storage.deleteQueue(queue, {purgeItems: true}, parallelCb)
+            }, next);
+        },
+        (race, next) => {
+            _.each(_.compact(race.published), err => assert.equal(err.code, '23503', 'publish fails on the deleted queue'));
+            storage.pool.query(orphansQuery, next);
+        },
+        (result, next) => {
+            assert.equal(result.rows[0].count, 0, 'no items refer to the deleted queue');
+
+            // A failed publish dropped the queue id, publishing again creates the queue
+            publishItems(storage, queue, 1, err => next(err));
+        },
+        next => storage.deleteQueue(queue, {purgeItems: true}, next)
+    ], err => cb(err));
+});
+
+test('publishing an event that removeOrphans deleted fails once, deleteQueue deletes the dead-letter queue', cb => {
+    const schema = 'orphan_tests';
+    const event = {name: 'orphanEvent', queue: 'orphanQueue', when: new Date()};
+
+    async.series([
+        next => storage.pool.query(`DROP SCHEMA IF EXISTS "${schema}" CASCADE`, next),
+        next => withStorage({schema: schema}, (main, mainCb) => {
+            // Without invalidation the other instance keeps the deleted ids memorized
+            withStorage({schema: schema, cacheInvalidation: false}, (stale, done) => {
+                async.waterfall([
+                    next => async.timesSeries(2, (n, timesCb) => stale.publish(Object.assign({}, event), timesCb), err => next(err)),
+                    next => main.remove({queue: event.queue}, err => next(err)),
+                    next => main.removeOrphans(next),
+                    (removed, next) => {
+                        assert.deepEqual(removed, {events: [event.name], queues: [event.queue]});
+                        stale.publish(Object.assign({}, event), err => next(null, err));
+                    },
+                    (err, next) => {
+                        assert.equal(err && err.code, '23503', 'publish with a deleted id fails');
+                        stale.publish(Object.assign({}, event), err => next(err));
+                    },
+                    next => main.fetchNext(event.queue, next),
+                    (item, next) => {
+                        assert.equal(item.name, event.name, 'publishing again creates the event');
+                        main.publish(Object.assign({}, event, {queue: main.deadLetterQueueName(event.queue)}), err => next(err));
+                    },
+                    next => main.deleteQueue(event.queue, {purgeItems: true}, err => next(err)),
+                    next => main.listQueues(next),
+                    (queues, next) => {
+                        assert.deepEqual(queues, [], 'the dead-letter queue is deleted with its queue');
+                        next();
+                    }
+                ], done);
+            }, mainCb);
+        }, next),
+        next => storage.pool.query(`DROP SCHEMA "${schema}" CASCADE`, next)
+    ], err => cb(err));
+});
+
+test('renaming and deleting a queue invalidates the ids memorized by other instances', cb => {
+    const queue = 'cacheQueue';
+    const renamed = 'cacheQueueRenamed';
+
+    // Publish twice, the id of a queue created by the first publish is memorized by the second
+    const publishTwice = (target, cb) => async.timesSeries(2, (n, timesCb) => publishItems(target, queue, 1, timesCb), cb);
+
+    // Notifications arrive asynchronously, wait until the other instance dropped the queue
+    const forgotten = (other, cb) => {
+        const deadline = Date.now() + 2000;
+        async.until(() => !other.memorizedQueueIds.has(queue) || Date.now() > deadline, untilCb => setTimeout(untilCb, 10), () => {
+            assert.ok(!other.memorizedQueueIds.has(queue), 'other instance forgot the queue id');
+            cb();
+        });
+    };
+
+    // Delete the queues that exist
+    const deleteQueues = (names, cb) => async.eachSeries(names, (name, eachCb) => {
+        storage.deleteQueue(name, {purgeItems: true}, err => eachCb(err && err.code !== 'queueNotFound' ? err : null));
+    }, cb);
+
+    withStorage({}, (other, done) => {
+        let invalidations;
+
+        async.waterfall([
+            next => deleteQueues([queue, renamed], err => next(err)),
+            next => publishTwice(storage, err => next(err)),
+            next => publishTwice(other, err => next(err)),
+            next => {
+                assert.ok(other.memorizedQueueIds.has(queue), 'other instance memorized the queue id');
+                invalidations = other.cacheStats().invalidations;
+                storage.renameQueue(queue, renamed, err => next(err));
+            },
+            next => forgotten(other, next),
+            next => {
+                assert.ok(other.cacheStats().invalidations > invalidations, 'invalidation counted');
+                publishItems(other, queue, 1, err => next(err));
+            },
+            next => storage.find({queue: renamed}, (err, items) => next(err, items)),
+            (items, next) => {
+                assert.equal(items.length, 4, 'a publish after the rename does not go to the renamed queue');
+                storage.find({queue: queue}, next);
+            },
+            (items, next) => {
+                assert.equal(items.length, 1, 'it creates the queue again');
+                publishTwice(other, err => next(err));
+            },
+            next => storage.deleteQueue(queue, {purgeItems: true}, err => next(err)),
+            next => forgotten(other, next),
+            next => publishItems(other, queue, 1, err => next(err)),
+            next => storage.find({queue: queue}, next),
+            (items, next) => {
+                assert.equal(items.length, 1, 'a publish after the delete creates the queue again');
+                deleteQueues([queue, renamed], next);
+            }
+        ], done);
+    }, cb);
+});
+
+test('instances with other table prefixes or schemas keep items, queues, notifications and names apart', cb => {
+    const queue = 'isolatedQueue';
+
+    withStorage({tablePrefix: 'isolated_'}, (prefixed, prefixedDone) => withStorage({schema: 'isolation_tests'}, (schemed, done) => {
+        const all = [storage, prefixed, schemed];
+        const tids = ['public', 'prefixed', 'schema'];
+
+        // Fetch the items of the queue of every instance, calls back with their tids
+        const tidsPerInstance = cb => async.mapSeries(all, (own, mapCb) => {
+            own.find({queue: queue}, (err, items) => mapCb(err, _.map(items, 'tid')));
+        }, cb);
+
+        async.waterfall([
+            next => async.eachSeries(all, (own, eachCb) => own.remove({queue: queue}, eachCb), err => next(err)),
+            next => async.eachOfSeries(all, (own, i, eachCb) => {
+                own.publish({name: 'isolatedEvent', queue: queue, tid: tids[i], when: new Date()}, eachCb);
+            }, err => next(err)),
+            next => tidsPerInstance(next),
+            (found, next) => {
+                assert.deepEqual(found, [['public'], ['prefixed'], ['schema']], 'every instance finds its own item');
+                assert.ok(prefixed.memorizedQueueIds.has(queue) && schemed.memorizedQueueIds.has(queue));
+                storage.deleteQueue(queue, {purgeItems: true}, err => next(err));
+            },
+            // Give a names notification the time to arrive if one was sent to the other instances
+            next => setTimeout(next, 200),
+            next => {
+                assert.ok(prefixed.memorizedQueueIds.has(queue), 'a deleteQueue of another prefix leaves the names alone');
+                assert.ok(schemed.memorizedQueueIds.has(queue), 'a deleteQueue of another schema leaves the names alone');
+                async.mapSeries([prefixed, schemed], (own, mapCb) => own.fetchNext(queue, mapCb), next);
+            },
+            (fetched, next) => {
+                assert.deepEqual(_.map(fetched, 'tid'), ['prefixed', 'schema'], 'the items of the deleted queue are kept');
+                async.parallel({
+                    prefixed: parallelCb => prefixed.waitForNext(queue, 600, parallelCb),
+                    schemed: parallelCb => schemed.waitForNext(queue, 600, parallelCb),
+                    published: parallelCb => setTimeout(() => storage.publish({name: 'isolatedEvent', queue: queue, tid: 'public', when: new Date()}, parallelCb), 100)
+                }, next);
+            },
+            (results, next) => {
+                assert.equal(results.prefixed, undefined, 'not woken by a publish of another prefix');
+                assert.equal(results.schemed, undefined, 'not woken by a publish of another schema');
+                async.eachOfSeries(all, (own, i, eachCb) => {
+                    own.publish({name: 'isolatedEvent', queue: queue, tid: `${tids[i]}Again`, when: new Date()}, eachCb);
+                }, err => next(err));
+            },
+            next => tidsPerInstance(next),
+            (found, next) => {
+                assert.deepEqual(_.map(found, tidList => tidList.sort()), [
+                    ['public', 'publicAgain'], ['prefixedAgain'], ['schemaAgain']
+                ], 'memorized ids still point to the queue of the instance');
+                async.eachSeries(all, (own, eachCb) => own.deleteQueue(queue, {purgeItems: true}, eachCb), next);
+            }
+        ], done);
+    }, prefixedDone), cb);
+});
+
+test('export and import remap ids and parents, and skip items with a dedupeKey the queue holds', cb => {
+    const queue = 'exportQueue';
+    const event = (tid, fields) => _.assign({name: 'exportEvent', queue: queue, tid: tid, when: new Date()}, fields);
+    const truncate = (own, cb) => own.pool.query(`TRUNCATE ${own.tables.items}`, err => cb(err));
+
+    // Collect what is written, or fail every write
+    const writableTo = (lines, failure) => new stream.Writable({
+        write: (data, encoding, cb) => {
+            if (failure) return setImmediate(cb, failure);
+            lines.push(data.toString());
+            cb();
+        }
+    });
+    const readableOf = text => {
+        const readable = new stream.Readable({read: () => {}});
+        readable.push(text);
+        readable.push(null);
+        return readable;
+    };
+
+    withStorage({schema: 'export_tests'}, (source, sourceDone) => withStorage({schema: 'import_tests'}, (target, done) => {
+        const ids = {};
+        const lines = [];
+
+        async.waterfall([
+            next => async.each([source, target], truncate, next),
+            next => target.publish(event('targetHeld', {dedupeKey: 'held'}), next),
+            (targetIds, next) => {
+                ids.targetHeld = targetIds[0];
+                source.publish(event('parent'), next);
+            },
+            (sourceIds, next) => {
+                ids.parent = sourceIds[0];
+                source.publish([
+                    event('child', {parent: ids.parent}),
+                    event('fresh', {dedupeKey: 'fresh'}),
+                    event('held', {dedupeKey: 'held'})
+                ], next);
+            },
+            (sourceIds, next) => {
+                ids.held = sourceIds[2];
+                source.publish(event('heldChild', {parent: ids.held}), next);
+            },
+            (sourceIds, next) => source.exportData({queue: queue}, writableTo(lines), next),
+            (counts, next) => {
+                assert.equal(counts.items, 5);
+
+                // A second line with the dedupeKey of an item in the same chunk
+                const fresh = JSON.parse(_.find(lines.join('').split('\n'), line => line.indexOf('"tid":"fresh"') !== -1));
+                const freshAgain = _.assign({}, fresh, {id: fresh.id + 100000, tid: 'freshAgain'});
+                target.importData(readableOf(`${lines.join('')}${JSON.stringify(freshAgain)}\n`), next);
+            },
+            (counts, next) => {
+                assert.equal(counts.items, 4, 'imported items');
+                assert.equal(counts.skipped, 2, 'items with a dedupeKey the queue or the import holds are skipped');
+                target.find({queue: queue}, next);
+            },
+            (items, next) => {
+                const byTid = _.keyBy(items, 'tid');
+                assert.deepEqual(_.keys(byTid).sort(), ['child', 'fresh', 'heldChild', 'parent', 'targetHeld']);
+                assert.equal(String(byTid.child.parent), String(byTid.parent.id), 'parents are remapped to the new ids');
+                assert.equal(String(byTid.heldChild.parent), String(ids.targetHeld), 'children of a skipped item link to the item that holds its key');
+                assert.equal(byTid.fresh.dedupeKey, 'fresh');
+
+                source.exportData({queue: queue}, writableTo([], new Error('writeFailed')), err => next(null, err));
+            },
+            (err, next) => {
+                assert.equal(err && err.message, 'writeFailed', 'a stream error fails the export');
+                async.each([source, target], truncate, next);
+            }
+        ], done);
+    }, sourceDone), cb);
+});
+
+async.series([
+    cb => storage.connect(cb),
+    cb => async.eachSeries(tests, (t, next) => {
+        t.fn(err => {
+            if (err) return next(err);
+            console.log(`ok - ${t.name}`);
+            next();
+        });
+    }, cb)
+], err => {
+    storage.disconnect(() => {
+        if (err) {
+            console.error('storage tests failed', err);
+            process.exit(1);
+        }
+        console.log('storage tests passed');
+    });
+});